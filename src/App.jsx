@@ -1,13 +1,146 @@
+import { useCallback, useMemo, useRef, useState } from 'react';
 import DownloadsTrendChart from './components/DownloadsTrendChart.jsx';
 import CompletionRateChart from './components/CompletionRateChart.jsx';
 import ListenerMixChart from './components/ListenerMixChart.jsx';
 import SubscriberGrowthChart from './components/SubscriberGrowthChart.jsx';
 import SharesSubscribersScatter from './components/SharesSubscribersScatter.jsx';
 import DurationCompletionScatter from './components/DurationCompletionScatter.jsx';
+import DatasetPicker from './components/DatasetPicker.jsx';
+import DataQualityPanel from './components/DataQualityPanel.jsx';
+import ShowSwitcher from './components/ShowSwitcher.jsx';
+import SummaryStrip from './components/SummaryStrip.jsx';
+import ReleaseRhythmChart from './components/ReleaseRhythmChart.jsx';
+import SegmentedControl from './components/SegmentedControl.jsx';
+import FilterBar from './components/FilterBar.jsx';
+import EpisodeDrawer from './components/EpisodeDrawer.jsx';
+import DataExportMenu from './components/DataExportMenu.jsx';
+import ReportButton from './components/ReportButton.jsx';
+import AnomalyList from './components/AnomalyList.jsx';
+import GuestLeaderboard from './components/GuestLeaderboard.jsx';
+import TopicPerformanceChart from './components/TopicPerformanceChart.jsx';
+import ForecastControl from './components/ForecastControl.jsx';
+import KeyFindingsPanel from './components/KeyFindingsPanel.jsx';
+import ThemeSwitcher from './components/ThemeSwitcher.jsx';
 import { usePodcastData } from './hooks/usePodcastData.js';
+import { useEpisodeFilters } from './hooks/useEpisodeFilters.js';
+import { useEpisodeSelection } from './hooks/useEpisodeSelection.js';
+import { useZoomLink } from './hooks/useZoomLink.js';
+import { useZoomState } from './hooks/useZoomState.js';
+import { useUrlState } from './hooks/useUrlState.js';
+import { useTheme } from './hooks/useTheme.js';
+import { X_AXIS_MODES } from './utils/episodeAxis.js';
+import { serializeViewState } from './utils/urlState.js';
+import { DEFAULT_ANOMALY_METHOD, detectAnomalies } from './utils/anomalies.js';
+import { DEFAULT_FORECAST, buildForecasts } from './utils/forecast.js';
+
+const POINT_COLOR_OPTIONS = [
+  { value: 'default', label: 'Highlights' },
+  { value: 'topic', label: 'Topic' },
+];
 
 const App = () => {
-  const { episodes, summary, insights, loading, error } = usePodcastData();
+  const { filters, updateFilter, clearFilters, replaceFilters, activeFilterCount } = useEpisodeFilters();
+  const {
+    episodes,
+    summary,
+    insights,
+    findings,
+    catalog,
+    topics,
+    shows,
+    activeShow,
+    setActiveShow,
+    compareShow,
+    setCompareShow,
+    comparison,
+    datasetName,
+    isDemoDataset,
+    importDatasetFiles,
+    loadDemoDataset,
+    dataQuality,
+    excludeSuspicious,
+    setExcludeSuspicious,
+    loading,
+    error,
+  } = usePodcastData({ filters });
+  const { selectedEpisodes, updateSelection, clearSelection } = useEpisodeSelection();
+  const zoomLink = useZoomLink();
+  const zoomState = useZoomState();
+  const { theme, setTheme } = useTheme();
+  const [xAxisMode, setXAxisMode] = useState('episode');
+  const [detailEpisode, setDetailEpisode] = useState(null);
+  const [pointColor, setPointColor] = useState('default');
+  const appRef = useRef(null);
+  const [linkedDataset, setLinkedDataset] = useState(null);
+  const [anomalyMethod, setAnomalyMethod] = useState(DEFAULT_ANOMALY_METHOD);
+  const anomalies = useMemo(() => detectAnomalies(episodes, anomalyMethod), [episodes, anomalyMethod]);
+  const [forecastSettings, setForecastSettings] = useState(DEFAULT_FORECAST);
+  const forecasts = useMemo(() => buildForecasts(episodes, forecastSettings), [episodes, forecastSettings]);
+
+  // A plain click on a single episode also opens its detail drawer; shift-clicks and brushes only select.
+  const handleSelect = useCallback(
+    (selected, mode) => {
+      updateSelection(selected, mode);
+      if (mode === 'replace' && selected.length === 1) {
+        setDetailEpisode(selected[0]);
+      }
+    },
+    [updateSelection]
+  );
+
+  const closeDetail = useCallback(() => setDetailEpisode(null), []);
+
+  const restoreViewState = useCallback(
+    (view) => {
+      replaceFilters(view.filters);
+      setActiveShow(view.show);
+      setCompareShow(view.compareShow);
+      setXAxisMode(view.xAxisMode);
+      updateSelection(view.selection, 'replace');
+      setDetailEpisode(view.detailEpisode);
+      zoomState.replace(view.zoom);
+      setLinkedDataset(view.dataset);
+    },
+    [replaceFilters, setActiveShow, setCompareShow, updateSelection, zoomState.replace]
+  );
+
+  // Imported files can't travel in a link, so only non-demo dataset names are recorded, as a hint for the reader.
+  const viewSearch = useMemo(
+    () =>
+      serializeViewState({
+        dataset: isDemoDataset ? null : datasetName,
+        show: shows.length > 1 ? activeShow : null,
+        compareShow,
+        xAxisMode,
+        filters,
+        selection: selectedEpisodes,
+        detailEpisode,
+        zoom: zoomState.domains,
+      }),
+    [
+      activeShow,
+      compareShow,
+      datasetName,
+      detailEpisode,
+      filters,
+      isDemoDataset,
+      selectedEpisodes,
+      shows.length,
+      xAxisMode,
+      zoomState.domains,
+    ]
+  );
+
+  useUrlState({ search: viewSearch, enabled: !loading, onRestore: restoreViewState });
+
+  const datasetPicker = (
+    <DatasetPicker
+      datasetName={datasetName}
+      isDemoDataset={isDemoDataset}
+      onImport={importDatasetFiles}
+      onUseDemo={loadDemoDataset}
+    />
+  );
 
   if (loading) {
     return (
@@ -17,54 +150,246 @@ const App = () => {
     );
   }
 
-  if (error || !summary) {
+  // Only the demo fetch sets `error`; imported files report their own failures in the picker, so reaching here with
+  // imports means they loaded but left no usable rows.
+  if (error || !shows.length) {
     return (
       <div className="app">
-        <p>We couldn’t load the dataset. Please double-check that <code>public/podcast-metrics.csv</code> is available.</p>
+        {error || isDemoDataset ? (
+          <p>
+            We couldn’t load the demo dataset. Please double-check that <code>public/podcast-metrics.csv</code> is
+            available.
+          </p>
+        ) : (
+          <p>
+            None of the rows in {datasetName} could be used. Import a corrected file, or switch back to the demo
+            dataset.
+          </p>
+        )}
+        {datasetPicker}
       </div>
     );
   }
 
+  const canUseDateAxis = summary?.hasPublishDates && (!comparison || comparison.summary.hasPublishDates);
+  const activeXAxisMode = canUseDateAxis ? xAxisMode : 'episode';
+  const xAxisOptions = Object.entries(X_AXIS_MODES).map(([value, axis]) => ({
+    value,
+    label: axis.label,
+    disabled: value === 'date' && !canUseDateAxis,
+  }));
+
+  const summaries = [
+    { show: activeShow, summary },
+    ...(comparison ? [{ show: comparison.show, summary: comparison.summary }] : []),
+  ];
+
   return (
-    <div className="app">
+    <div className="app" ref={appRef}>
       <header>
-        <h1>Podcast Growth Intelligence</h1>
-        <div className="summary-strip" aria-label="Key podcast metrics">
-          <div className="summary-item">
-            <strong>Total Episodes</strong>
-            <span>{summary.totalEpisodes}</span>
-          </div>
-          <div className="summary-item">
-            <strong>Avg Downloads</strong>
-            <span>{Math.round(summary.averageDownloads).toLocaleString()}</span>
-          </div>
-          <div className="summary-item">
-            <strong>Avg Completion</strong>
-            <span>{(summary.averageCompletionRate * 100).toFixed(1)}%</span>
-          </div>
-          <div className="summary-item">
-            <strong>Avg Duration</strong>
-            <span>{summary.averageDuration.toFixed(1)} min</span>
-          </div>
-          <div className="summary-item">
-            <strong>Total Subscribers</strong>
-            <span>{summary.totalSubscribers.toLocaleString()}</span>
-          </div>
+        <div className="header-title-row">
+          <h1>Podcast Growth Intelligence</h1>
+          <ThemeSwitcher value={theme} onChange={setTheme} />
         </div>
+        {datasetPicker}
+        {shows.length > 1 ? (
+          <ShowSwitcher
+            shows={shows}
+            activeShow={activeShow}
+            compareShow={compareShow}
+            onActiveShowChange={setActiveShow}
+            onCompareShowChange={setCompareShow}
+          />
+        ) : null}
+        {summary ? <SummaryStrip summaries={summaries} /> : null}
       </header>
 
-      <section className="chart-grid">
-        <DownloadsTrendChart data={episodes} insight={insights.downloads} />
-        <CompletionRateChart
-          data={episodes}
-          averageCompletionRate={summary.averageCompletionRate}
-          insight={insights.completion}
+      {linkedDataset && linkedDataset !== datasetName ? (
+        <p className="link-notice" role="status">
+          This link was shared from the “{linkedDataset}” dataset, so zoom, filters, and selection may not line up. Import
+          those files to see the same view.
+          <button type="button" className="button-subtle" onClick={() => setLinkedDataset(null)}>
+            Dismiss
+          </button>
+        </p>
+      ) : null}
+
+      <DataQualityPanel
+        report={dataQuality}
+        excludeSuspicious={excludeSuspicious}
+        onExcludeSuspiciousChange={setExcludeSuspicious}
+      />
+
+      <FilterBar
+        filters={filters}
+        catalog={catalog}
+        matchCount={episodes.length}
+        activeFilterCount={activeFilterCount}
+        onFilterChange={updateFilter}
+        onClear={clearFilters}
+      />
+
+      {summary ? (
+        <>
+          <div className="chart-toolbar">
+            {summary.hasPublishDates ? (
+              <div className="chart-toolbar-group">
+                <span className="chart-toolbar-label">X axis</span>
+                <SegmentedControl
+                  label="X axis"
+                  options={xAxisOptions}
+                  value={activeXAxisMode}
+                  onChange={setXAxisMode}
+                />
+              </div>
+            ) : null}
+            <div className="chart-toolbar-group">
+              <span className="chart-toolbar-label">Colour points by</span>
+              <SegmentedControl
+                label="Colour scatter points by"
+                options={POINT_COLOR_OPTIONS}
+                value={pointColor}
+                onChange={setPointColor}
+              />
+            </div>
+            <div className="chart-toolbar-group">
+              <ForecastControl value={forecastSettings} onChange={setForecastSettings} />
+            </div>
+            <label className="chart-toolbar-group chart-toolbar-toggle">
+              <input
+                type="checkbox"
+                checked={zoomLink.enabled}
+                onChange={(event) => zoomLink.setEnabled(event.target.checked)}
+              />
+              Link zoom across time-series charts
+            </label>
+            <div className="chart-toolbar-group selection-status" role="status">
+              {selectedEpisodes.size ? (
+                <>
+                  <span>
+                    {selectedEpisodes.size} {selectedEpisodes.size === 1 ? 'episode' : 'episodes'} selected
+                  </span>
+                  <button type="button" className="button-subtle" onClick={clearSelection}>
+                    Clear selection
+                  </button>
+                </>
+              ) : (
+                <span className="chart-toolbar-hint">
+                  Click a point to select it; shift-click or shift-drag to add more. On a focused chart, arrow keys
+                  step through episodes, Enter selects, +/− zoom, shift+arrows pan and Escape resets.
+                </span>
+              )}
+            </div>
+            <div className="chart-toolbar-group">
+              <DataExportMenu show={activeShow} filters={filters} episodes={episodes} summary={summary} />
+              <ReportButton
+                rootRef={appRef}
+                datasetName={datasetName}
+                summaries={summaries}
+                activeFilterCount={activeFilterCount}
+              />
+            </div>
+          </div>
+
+          <KeyFindingsPanel findings={findings} onSelect={handleSelect} />
+
+          <section className="chart-grid">
+            <DownloadsTrendChart
+              data={episodes}
+              comparison={comparison}
+              xAxisMode={activeXAxisMode}
+              zoomLink={zoomLink}
+              zoomState={zoomState}
+              selection={selectedEpisodes}
+              onSelect={handleSelect}
+              anomalies={anomalies}
+              anomalyMethod={anomalyMethod}
+              forecast={forecasts?.downloads}
+              insight={insights.downloads}
+            />
+            <CompletionRateChart
+              data={episodes}
+              comparison={comparison}
+              xAxisMode={activeXAxisMode}
+              zoomLink={zoomLink}
+              zoomState={zoomState}
+              selection={selectedEpisodes}
+              onSelect={handleSelect}
+              anomalies={anomalies}
+              anomalyMethod={anomalyMethod}
+              averageCompletionRate={summary.averageCompletionRate}
+              insight={insights.completion}
+            />
+            <ListenerMixChart
+              data={episodes}
+              comparison={comparison}
+              xAxisMode={activeXAxisMode}
+              zoomLink={zoomLink}
+              zoomState={zoomState}
+              selection={selectedEpisodes}
+              onSelect={handleSelect}
+              insight={insights.listenerMix}
+            />
+            <SubscriberGrowthChart
+              data={episodes}
+              comparison={comparison}
+              xAxisMode={activeXAxisMode}
+              zoomLink={zoomLink}
+              zoomState={zoomState}
+              selection={selectedEpisodes}
+              onSelect={handleSelect}
+              anomalies={anomalies}
+              anomalyMethod={anomalyMethod}
+              forecast={forecasts?.subscribers}
+              insight={insights.subscriberGrowth}
+            />
+            <SharesSubscribersScatter
+              data={episodes}
+              comparison={comparison}
+              zoomState={zoomState}
+              selection={selectedEpisodes}
+              onSelect={handleSelect}
+              colorBy={pointColor}
+              topics={topics}
+              insight={insights.sharesToSubs}
+            />
+            <DurationCompletionScatter
+              data={episodes}
+              comparison={comparison}
+              zoomState={zoomState}
+              selection={selectedEpisodes}
+              onSelect={handleSelect}
+              colorBy={pointColor}
+              topics={topics}
+              insight={insights.duration}
+            />
+            {summary.hasPublishDates ? <ReleaseRhythmChart data={episodes} insight={insights.releaseRhythm} /> : null}
+            <AnomalyList
+              anomalies={anomalies}
+              method={anomalyMethod}
+              onMethodChange={setAnomalyMethod}
+              onSelect={handleSelect}
+            />
+            <TopicPerformanceChart data={episodes} topics={topics} insight={insights.topics} />
+            <GuestLeaderboard
+              data={episodes}
+              insight={insights.guests}
+              onGuestSelect={(name) => updateFilter('guest', name)}
+            />
+          </section>
+        </>
+      ) : (
+        <p className="empty-state">No episodes match the current filters. Loosen or clear them to bring the charts back.</p>
+      )}
+
+      {summary && detailEpisode !== null ? (
+        <EpisodeDrawer
+          episodeNumber={detailEpisode}
+          episodes={episodes}
+          onNavigate={(episode) => handleSelect([episode], 'replace')}
+          onClose={closeDetail}
         />
-        <ListenerMixChart data={episodes} insight={insights.listenerMix} />
-        <SubscriberGrowthChart data={episodes} insight={insights.subscriberGrowth} />
-        <SharesSubscribersScatter data={episodes} insight={insights.sharesToSubs} />
-        <DurationCompletionScatter data={episodes} insight={insights.duration} />
-      </section>
+      ) : null}
     </div>
   );
 };
@@ -0,0 +1,57 @@
+import ChartCard from './ChartCard.jsx';
+import SegmentedControl from './SegmentedControl.jsx';
+import { ANOMALY_METHODS, ANOMALY_METRICS, describeAnomaly } from '../utils/anomalies.js';
+
+const methodOptions = Object.entries(ANOMALY_METHODS).map(([value, method]) => ({ value, label: method.label }));
+
+const AnomalyList = ({ anomalies, method, onMethodChange, onSelect }) => {
+  const { threshold, scoreLabel } = ANOMALY_METHODS[method];
+  const strongest = anomalies[0];
+  const flaggedEpisodes = new Set(anomalies.map((anomaly) => anomaly.episode)).size;
+  const insight = strongest
+    ? `${anomalies.length} ${anomalies.length === 1 ? 'flag' : 'flags'} across ${flaggedEpisodes} ${
+        flaggedEpisodes === 1 ? 'episode' : 'episodes'
+      }; the largest deviation is episode ${strongest.episode}'s ${ANOMALY_METRICS[
+        strongest.metric
+      ].label.toLowerCase()}.`
+    : null;
+
+  return (
+    <ChartCard
+      title="Anomalies"
+      description={`Episodes whose downloads, completion, or subscriber gains sit unusually far from the average of the episodes before them (|${scoreLabel}| ≥ ${threshold}).`}
+      insight={insight}
+      exportable={false}
+      controls={
+        <SegmentedControl label="Anomaly method" options={methodOptions} value={method} onChange={onMethodChange} />
+      }
+    >
+      {anomalies.length ? (
+        <ol className="anomaly-list">
+          {anomalies.map((anomaly) => (
+            <li key={`${anomaly.metric}-${anomaly.episode}`} className={`is-${anomaly.direction}`}>
+              <button
+                type="button"
+                className="anomaly-list-episode"
+                onClick={() => onSelect([anomaly.episode], 'replace')}
+              >
+                Ep {anomaly.episode}
+              </button>
+              <div>
+                <strong>{anomaly.title}</strong>
+                <span>
+                  {anomaly.direction === 'above' ? 'Over-performed' : 'Under-performed'}:{' '}
+                  {describeAnomaly(anomaly, method)}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="chart-description">No episodes deviate far enough from their baseline to flag.</p>
+      )}
+    </ChartCard>
+  );
+};
+
+export default AnomalyList;
@@ -0,0 +1,25 @@
+import { describeAnomaly } from '../utils/anomalies.js';
+
+const AnomalyMarkers = ({ anomalies, data, method, x, y }) => {
+  const byEpisode = new Map(data.map((d) => [d.episode, d]));
+
+  return anomalies
+    .filter((anomaly) => byEpisode.has(anomaly.episode))
+    .map((anomaly) => {
+      const datum = byEpisode.get(anomaly.episode);
+      const cx = x(datum);
+      const cy = y(datum);
+      // Triangles point the way the episode deviated and sit just off the line so they don't hide it.
+      const tip = anomaly.direction === 'above' ? cy - 10 : cy + 10;
+      const base = anomaly.direction === 'above' ? tip - 8 : tip + 8;
+      return (
+        <g key={`anomaly-${anomaly.metric}-${anomaly.episode}`} className={`anomaly-marker is-${anomaly.direction}`}>
+          <circle cx={cx} cy={cy} r={7} />
+          <polygon points={`${cx},${tip} ${cx - 5},${base} ${cx + 5},${base}`} />
+          <title>{`Ep ${anomaly.episode}: ${anomaly.title}\n${describeAnomaly(anomaly, method)}`}</title>
+        </g>
+      );
+    });
+};
+
+export default AnomalyMarkers;
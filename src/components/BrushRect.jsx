@@ -0,0 +1,12 @@
+const BrushRect = ({ extent }) =>
+  extent ? (
+    <rect
+      className="brush-selection"
+      x={extent[0][0]}
+      y={extent[0][1]}
+      width={extent[1][0] - extent[0][0]}
+      height={extent[1][1] - extent[0][1]}
+    />
+  ) : null;
+
+export default BrushRect;
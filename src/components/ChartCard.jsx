@@ -1,13 +1,58 @@
-const ChartCard = ({ title, description, insight, legend, children }) => (
-  <article className="chart-card">
-    <div>
-      <h2>{title}</h2>
-      <p className="chart-description">{description}</p>
-      {legend}
-    </div>
-    {children}
-    {insight ? <p className="chart-insight">{insight}</p> : null}
-  </article>
-);
+import { useRef, useState } from 'react';
+import ChartExportMenu from './ChartExportMenu.jsx';
+import ChartDataTable from './ChartDataTable.jsx';
+
+const ChartCard = ({
+  title,
+  description,
+  insight,
+  legend,
+  controls,
+  announcement,
+  table,
+  exportable = true,
+  children,
+}) => {
+  const cardRef = useRef(null);
+  const [showTable, setShowTable] = useState(false);
+  const isTableShown = Boolean(table) && showTable;
+
+  return (
+    <article className="chart-card" ref={cardRef}>
+      <div>
+        <div className="chart-card-heading">
+          <h2>{title}</h2>
+          <div className="chart-card-actions">
+            {table ? (
+              <button
+                type="button"
+                className="button-subtle chart-table-toggle"
+                onClick={() => setShowTable((prev) => !prev)}
+              >
+                {isTableShown ? 'Show chart' : 'Show as table'}
+              </button>
+            ) : null}
+            {exportable ? <ChartExportMenu cardRef={cardRef} title={title} insight={insight} /> : null}
+          </div>
+        </div>
+        <p className="chart-description">{description}</p>
+        {legend}
+      </div>
+      {controls ? <div className="chart-controls">{controls}</div> : null}
+      {/* The chart stays mounted behind the table so zoom, selection and export keep working. */}
+      <div className="chart-card-body" hidden={isTableShown}>
+        {children}
+      </div>
+      {isTableShown ? <ChartDataTable caption={`${title} data`} {...table} /> : null}
+      {insight ? <p className="chart-insight">{insight}</p> : null}
+      {/* Kept mounted even when empty; screen readers skip live regions that appear with their first message. */}
+      {announcement !== undefined ? (
+        <p className="visually-hidden" aria-live="polite" aria-atomic="true">
+          {announcement}
+        </p>
+      ) : null}
+    </article>
+  );
+};
 
 export default ChartCard;
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+
+// Columns are { key, label, numeric, format?, sortValue? }; rows sort on their raw values (or `sortValue(row)`)
+// and display the formatted ones.
+const ChartDataTable = ({ caption, columns, rows }) => {
+  const [sort, setSort] = useState({ key: columns[0].key, direction: 'asc' });
+  // The columns can change under a saved sort (a different metric, say); fall back to the first one.
+  const sortColumn = columns.find((column) => column.key === sort.key) ?? columns[0];
+  const direction = sortColumn.key === sort.key ? sort.direction : 'asc';
+
+  const sorted = [...rows].sort((a, b) => {
+    const valueOf = sortColumn.sortValue ?? ((row) => row[sortColumn.key]);
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left == null || right == null) {
+      return left == null ? (right == null ? 0 : 1) : -1;
+    }
+    const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    return direction === 'asc' ? order : -order;
+  });
+
+  const toggleSort = (column) => {
+    setSort((prev) =>
+      prev.key === column.key
+        ? { key: column.key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+        : { key: column.key, direction: column.numeric && column !== columns[0] ? 'desc' : 'asc' }
+    );
+  };
+
+  return (
+    <div className="chart-data-table-scroll">
+      <table className="chart-data-table">
+        <caption className="visually-hidden">{caption}</caption>
+        <thead>
+          <tr>
+            {columns.map((column) => (
+              <th
+                key={column.key}
+                scope="col"
+                className={column.numeric ? 'is-numeric' : undefined}
+                aria-sort={sortColumn.key === column.key ? (direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+              >
+                <button type="button" className="chart-data-table-sort" onClick={() => toggleSort(column)}>
+                  {column.label}
+                  <span aria-hidden="true">{sortColumn.key === column.key ? (direction === 'asc' ? ' ▲' : ' ▼') : ''}</span>
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((row) => (
+            <tr key={row.key}>
+              {columns.map((column) => (
+                <td key={column.key} className={column.numeric ? 'is-numeric' : undefined}>
+                  {row[column.key] == null ? '—' : column.format ? column.format(row[column.key]) : row[column.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length ? null : <p className="chart-data-table-empty">No data points in the current zoom window.</p>}
+    </div>
+  );
+};
+
+export default ChartDataTable;
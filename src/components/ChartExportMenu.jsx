@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { buildChartSvg, toFileName, downloadBlob, serializeSvg, svgToPngBlob } from '../utils/exportChart.js';
+
+const ChartExportMenu = ({ cardRef, title, insight }) => {
+  const [includeCaption, setIncludeCaption] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const exportChart = async (format) => {
+    const svg = cardRef.current ? buildChartSvg(cardRef.current, { title, insight, includeCaption }) : null;
+    if (!svg) {
+      setExportError('There is no chart to export.');
+      return;
+    }
+
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      const blob =
+        format === 'png'
+          ? await svgToPngBlob(svg)
+          : new Blob([serializeSvg(svg)], { type: 'image/svg+xml;charset=utf-8' });
+      downloadBlob(blob, toFileName(title, format));
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <details className="chart-export">
+      <summary>Export</summary>
+      <div className="chart-export-menu">
+        <button type="button" onClick={() => exportChart('svg')} disabled={isExporting}>
+          Download SVG
+        </button>
+        <button type="button" onClick={() => exportChart('png')} disabled={isExporting}>
+          Download PNG
+        </button>
+        <label className="chart-export-caption">
+          <input type="checkbox" checked={includeCaption} onChange={(event) => setIncludeCaption(event.target.checked)} />
+          Include title, legend, and insight
+        </label>
+        {exportError ? (
+          <p className="chart-export-error" role="alert">
+            {exportError}
+          </p>
+        ) : null}
+      </div>
+    </details>
+  );
+};
+
+export default ChartExportMenu;
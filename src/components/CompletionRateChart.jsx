@@ -1,144 +1,248 @@
+import { useState } from 'react';
 import { scaleLinear } from 'd3-scale';
 import { extent, max, min } from 'd3-array';
 import { line, curveMonotoneX } from 'd3-shape';
 import ChartCard from './ChartCard.jsx';
+import SelectionMarkers from './SelectionMarkers.jsx';
+import AnomalyMarkers from './AnomalyMarkers.jsx';
+import BrushRect from './BrushRect.jsx';
+import FocusMarker from './FocusMarker.jsx';
+import SmoothingControl from './SmoothingControl.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { useChartSelection } from '../hooks/useChartSelection.js';
+import { useChartKeyboard } from '../hooks/useChartKeyboard.js';
+import { useChartDimensions } from '../hooks/useChartDimensions.js';
+import { getXAxis } from '../utils/episodeAxis.js';
+import { nearestByX, withinX } from '../utils/chartHitTest.js';
+import { anomaliesForMetric } from '../utils/anomalies.js';
+import { episodeColumns, episodeRows, formatPercent } from '../utils/chartTable.js';
+import { DEFAULT_SMOOTHING, describeSmoothing, smoothSeries } from '../utils/smoothing.js';
+import { themeColor } from '../utils/themes.js';
 
 const chartDimensions = {
-  width: 640,
-  height: 360,
   margin: { top: 24, right: 24, bottom: 42, left: 60 },
+  compactMargin: { top: 24, right: 12, bottom: 36, left: 48 },
 };
 
-const CompletionRateChart = ({ data, averageCompletionRate, insight }) => {
-  const { width, height, margin } = chartDimensions;
-  const baseXDomain = extent(data, (d) => d.episode);
+const CompletionRateChart = ({
+  data,
+  comparison,
+  xAxisMode,
+  zoomLink,
+  zoomState,
+  selection,
+  onSelect,
+  anomalies = [],
+  anomalyMethod,
+  averageCompletionRate,
+  insight,
+}) => {
+  const { containerRef, width, height, margin, ticks } = useChartDimensions(chartDimensions);
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const comparisonData = comparison?.episodes ?? [];
+  const xAxis = getXAxis(xAxisMode);
+  const baseXDomain = extent([...data, ...comparisonData], xAxis.value);
 
-  const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
+  const { xDomain, zoomRef, resetZoom, zoomBy, panBy, xRange } = useZoomPan({
     width,
     height,
     margin,
     xDomain: baseXDomain,
     maxZoom: 12,
+    zoomState,
+    zoomKey: 'completion',
+    link: zoomLink,
   });
 
-  const xScale = scaleLinear()
+  const xScale = xAxis
+    .createScale()
     .domain(xDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
 
-  const minRate = min(data, (d) => d.completionRate);
-  const maxRate = max(data, (d) => d.completionRate);
+  const xOf = (d) => xScale(xAxis.value(d));
+  const { brushExtent, selectionHandlers } = useChartSelection({
+    plotBounds: [
+      [margin.left, margin.top],
+      [width - margin.right, height - margin.bottom],
+    ],
+    brushMode: 'x',
+    hitTest: ([px]) => nearestByX(data, xOf, px)?.episode ?? null,
+    brushTest: (brush) => withinX(data, xOf, brush).map((d) => d.episode),
+    onSelect,
+  });
+  const selectedData = data.filter((d) => selection.has(d.episode));
+
+  const minRate = min([...data, ...comparisonData], (d) => d.completionRate);
+  const maxRate = max([...data, ...comparisonData], (d) => d.completionRate);
   const yScale = scaleLinear()
     .domain([Math.min(0.45, minRate - 0.02), Math.max(0.95, maxRate + 0.02)])
     .range([height - margin.bottom, margin.top]);
 
   const completionLine = line()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xAxis.value(d)))
     .y((d) => yScale(d.completionRate))
     .curve(curveMonotoneX);
 
-  const rollingLine = line()
-    .x((d) => xScale(d.episode))
-    .y((d) => yScale(d.completionRolling))
-    .curve(curveMonotoneX);
+  // Each series is smoothed on its own so the comparison show's line isn't blended with the active one.
+  const rollingLine = (series) => {
+    const smoothed = smoothSeries(series.map((d) => d.completionRate), smoothing);
+    return line()
+      .x((d) => xScale(xAxis.value(d)))
+      .y((d, idx) => yScale(smoothed[idx]))
+      .curve(curveMonotoneX)(series);
+  };
 
-  const xTicks = xScale.ticks(6);
-  const yTicks = yScale.ticks(5);
+  const smoothedRates = smoothSeries(data.map((d) => d.completionRate), smoothing);
+  const { focusedItem, announcement, keyboardProps } = useChartKeyboard({
+    items: data,
+    describe: (d) =>
+      `Episode ${d.episode}: ${(d.completionRate * 100).toFixed(1)}% completion (${describeSmoothing(smoothing)}: ${(
+        smoothedRates[data.indexOf(d)] * 100
+      ).toFixed(1)}%).`,
+    onActivate: (d, mode) => onSelect([d.episode], mode),
+    zoom: { zoomBy, panBy, resetZoom },
+  });
+
+  const xTicks = xScale.ticks(ticks.x);
+  const formatXTick = xAxis.tickFormat(xScale);
+  const yTicks = yScale.ticks(ticks.y);
 
   return (
     <ChartCard
       title="Completion Discipline"
       description="Track how well episodes keep listeners to the end and spot the dips that signal pacing or segment order issues."
       insight={insight}
+      announcement={announcement}
+      table={{
+        columns: [
+          ...episodeColumns(xAxisMode),
+          { key: 'completionRate', label: 'Completion rate', numeric: true, format: formatPercent },
+          { key: 'smoothed', label: describeSmoothing(smoothing), numeric: true, format: formatPercent },
+        ],
+        rows: episodeRows(data, xAxis, xDomain, (d, idx) => ({
+          completionRate: d.completionRate,
+          smoothed: smoothedRates[idx],
+        })),
+      }}
       legend={
         <div className="legend">
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: '#38bdf8' }} /> Completion rate
+            <span className="legend-swatch" style={{ background: themeColor('series-primary') }} /> Completion rate
           </span>
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: 'rgba(129, 140, 248, 0.85)' }} /> Rolling average
+            <span className="legend-swatch" style={{ background: themeColor('series-secondary', 0.85) }} />{' '}
+            {describeSmoothing(smoothing)}
           </span>
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: '#facc15' }} /> Portfolio average
+            <span className="legend-swatch" style={{ background: themeColor('highlight') }} /> Portfolio average
           </span>
+          {comparison ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-comparison" /> {comparison.show},{' '}
+              {describeSmoothing(smoothing)}
+            </span>
+          ) : null}
         </div>
       }
+      controls={<SmoothingControl value={smoothing} onChange={setSmoothing} />}
     >
-      <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Episode completion rate trend">
-        {yTicks.map((tick) => (
+      <div className="chart-svg-wrapper" ref={containerRef}>
+        <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Episode completion rate trend" {...keyboardProps}>
+          {yTicks.map((tick) => (
+            <line
+              key={`y-${tick}`}
+              className="grid-line"
+              x1={margin.left}
+              x2={width - margin.right}
+              y1={yScale(tick)}
+              y2={yScale(tick)}
+            />
+          ))}
           <line
-            key={`y-${tick}`}
-            className="grid-line"
             x1={margin.left}
             x2={width - margin.right}
-            y1={yScale(tick)}
-            y2={yScale(tick)}
-          />
-        ))}
-        <line
-          x1={margin.left}
-          x2={width - margin.right}
-          y1={yScale(averageCompletionRate)}
-          y2={yScale(averageCompletionRate)}
-          stroke="#facc15"
-          strokeDasharray="6 6"
-          strokeWidth={1.8}
-        />
-        <path d={completionLine(data)} className="line-primary" />
-        <path d={rollingLine(data)} className="line-secondary" />
-        {data.map((point) => (
-          <circle
-            key={point.episode}
-            className="dot"
-            cx={xScale(point.episode)}
-            cy={yScale(point.completionRate)}
-            r={3}
+            y1={yScale(averageCompletionRate)}
+            y2={yScale(averageCompletionRate)}
+            style={{ stroke: themeColor('highlight') }}
+            strokeDasharray="6 6"
+            strokeWidth={1.8}
           />
-        ))}
-        {xTicks.map((tick) => (
+          <path d={completionLine(data)} className="line-primary" />
+          <path d={rollingLine(data)} className="line-secondary" />
+          {comparison ? <path d={rollingLine(comparisonData)} className="line-comparison" /> : null}
+          {data.map((point) => {
+            const isSelected = selection.has(point.episode);
+            return (
+              <circle
+                key={point.episode}
+                className={isSelected ? 'dot-selected' : `dot${selection.size ? ' is-dimmed' : ''}`}
+                cx={xScale(xAxis.value(point))}
+                cy={yScale(point.completionRate)}
+                r={isSelected ? 5 : 3}
+              />
+            );
+          })}
+          {xTicks.map((tick) => (
+            <text
+              key={`x-${+tick}`}
+              x={xScale(tick)}
+              y={height - margin.bottom + 28}
+              textAnchor="middle"
+              className="axis-label"
+            >
+              {formatXTick(tick)}
+            </text>
+          ))}
           <text
-            key={`x-${tick.toFixed(3)}`}
-            x={xScale(tick)}
-            y={height - margin.bottom + 28}
-            textAnchor="middle"
-            className="axis-label"
-          >
-            Ep {Math.round(tick)}
-          </text>
-        ))}
-        <text
-          x={margin.left - 12}
-          y={margin.top}
-          textAnchor="end"
-          className="axis-label"
-        >
-          Completion %
-        </text>
-        {yTicks.map((tick) => (
-          <text
-            key={`ylab-${tick}`}
-            x={margin.left - 14}
-            y={yScale(tick) + 4}
+            x={margin.left - 12}
+            y={margin.top}
             textAnchor="end"
             className="axis-label"
           >
-            {(tick * 100).toFixed(0)}%
+            Completion %
           </text>
-        ))}
-        <rect
-          ref={zoomRef}
-          x={margin.left}
-          y={margin.top}
-          width={width - margin.left - margin.right}
-          height={height - margin.top - margin.bottom}
-          fill="transparent"
-          className="interaction-layer"
-          onDoubleClick={resetZoom}
-          aria-hidden="true"
-        >
-          <title>Drag to pan, scroll to zoom, double-click to reset</title>
-        </rect>
-      </svg>
+          {yTicks.map((tick) => (
+            <text
+              key={`ylab-${tick}`}
+              x={margin.left - 14}
+              y={yScale(tick) + 4}
+              textAnchor="end"
+              className="axis-label"
+            >
+              {(tick * 100).toFixed(0)}%
+            </text>
+          ))}
+          <AnomalyMarkers
+            anomalies={anomaliesForMetric(anomalies, 'completion')}
+            data={data}
+            method={anomalyMethod}
+            x={xOf}
+            y={(d) => yScale(d.completionRate)}
+          />
+          <SelectionMarkers
+            items={selectedData}
+            x={xOf}
+            top={margin.top}
+            bottom={height - margin.bottom}
+          />
+          <FocusMarker item={focusedItem} x={xOf} y={(d) => yScale(d.completionRate)} />
+          <BrushRect extent={brushExtent} />
+          <rect
+            ref={zoomRef}
+            x={margin.left}
+            y={margin.top}
+            width={width - margin.left - margin.right}
+            height={height - margin.top - margin.bottom}
+            fill="transparent"
+            className="interaction-layer"
+            onDoubleClick={resetZoom}
+            {...selectionHandlers}
+            aria-hidden="true"
+          >
+            <title>Drag to pan, scroll to zoom, double-click to reset</title>
+          </rect>
+        </svg>
+      </div>
     </ChartCard>
   );
 };
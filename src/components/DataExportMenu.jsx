@@ -0,0 +1,36 @@
+import { downloadBlob, toFileName } from '../utils/exportChart.js';
+import { formatDatasetJson, formatEpisodesCsv, formatSummaryCsv } from '../utils/exportDataset.js';
+
+const MIME_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  json: 'application/json',
+};
+
+const download = (content, extension, name) =>
+  downloadBlob(new Blob([content], { type: MIME_TYPES[extension] }), toFileName(name, extension));
+
+const DataExportMenu = ({ show, filters, episodes, summary }) => (
+  <details className="chart-export data-export">
+    <summary>Download data</summary>
+    <div className="chart-export-menu">
+      <button type="button" onClick={() => download(formatEpisodesCsv(episodes), 'csv', `${show} episodes`)}>
+        Episodes (CSV)
+      </button>
+      <button type="button" onClick={() => download(formatSummaryCsv(summary), 'csv', `${show} summary`)}>
+        Summary (CSV)
+      </button>
+      <button
+        type="button"
+        onClick={() => download(formatDatasetJson({ show, filters, summary, episodes }), 'json', `${show} dataset`)}
+      >
+        Episodes and summary (JSON)
+      </button>
+      <p className="chart-export-note">
+        Exports the {episodes.length} {episodes.length === 1 ? 'episode' : 'episodes'} matching the current filters,
+        including derived metrics.
+      </p>
+    </div>
+  </details>
+);
+
+export default DataExportMenu;
@@ -0,0 +1,89 @@
+const STATUS_LABELS = {
+  rejected: 'Rejected',
+  suspicious: 'Suspicious',
+};
+
+const DataQualityPanel = ({ report, excludeSuspicious, onExcludeSuspiciousChange }) => {
+  const { entries, datasetIssues, totalRows, rejectedCount, suspiciousCount } = report;
+  const flagged = entries.filter((entry) => entry.status !== 'ok');
+  const acceptedCount = totalRows - rejectedCount - (excludeSuspicious ? suspiciousCount : 0);
+  const isClean = !flagged.length && !datasetIssues.length;
+  const showColumn = new Set(entries.map((entry) => entry.row.show)).size > 1;
+  const fileColumn = new Set(entries.map((entry) => entry.file)).size > 1;
+
+  return (
+    <details className="data-quality" open={rejectedCount > 0}>
+      <summary>
+        <span className="data-quality-title">Data quality</span>
+        <span className={`data-quality-badge${isClean ? ' is-clean' : ''}`}>
+          {isClean
+            ? `All ${totalRows} rows passed validation`
+            : `${acceptedCount} of ${totalRows} rows in use · ${rejectedCount} rejected · ${suspiciousCount} suspicious`}
+        </span>
+      </summary>
+
+      {isClean ? null : (
+        <div className="data-quality-body">
+          <p className="data-quality-note">
+            Rejected rows can’t be parsed safely and are always left out. Suspicious rows parse, but their numbers look
+            inconsistent.
+          </p>
+          <label className="data-quality-toggle">
+            <input
+              type="checkbox"
+              checked={excludeSuspicious}
+              disabled={!suspiciousCount}
+              onChange={(event) => onExcludeSuspiciousChange(event.target.checked)}
+            />
+            Exclude {suspiciousCount} suspicious {suspiciousCount === 1 ? 'row' : 'rows'} from the dashboard
+          </label>
+
+          {datasetIssues.length ? (
+            <ul className="data-quality-dataset-issues">
+              {datasetIssues.map((issue) => (
+                <li key={issue.message}>{issue.message}</li>
+              ))}
+            </ul>
+          ) : null}
+
+          {flagged.length ? (
+            <table className="data-quality-table">
+              <thead>
+                <tr>
+                  {fileColumn ? <th scope="col">File</th> : null}
+                  {showColumn ? <th scope="col">Show</th> : null}
+                  <th scope="col">Row</th>
+                  <th scope="col">Episode</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {flagged.map((entry) => (
+                  <tr key={`${entry.file}-${entry.rowNumber}`} className={`is-${entry.status}`}>
+                    {fileColumn ? <td>{entry.file}</td> : null}
+                    {showColumn ? <td>{entry.row.show}</td> : null}
+                    <td>{entry.rowNumber}</td>
+                    <td>{entry.episode ?? '—'}</td>
+                    <td>
+                      <span className={`status-pill status-${entry.status}`}>{STATUS_LABELS[entry.status]}</span>
+                    </td>
+                    <td>
+                      <ul>
+                        {entry.issues.map((issue) => (
+                          <li key={`${issue.field}-${issue.message}`}>{issue.message}</li>
+                        ))}
+                      </ul>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : null}
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default DataQualityPanel;
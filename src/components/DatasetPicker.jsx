@@ -0,0 +1,97 @@
+import { useRef, useState } from 'react';
+
+const ACCEPTED_TYPES = '.csv,.json,text/csv,application/json';
+
+const DatasetPicker = ({ datasetName, isDemoDataset, onImport, onUseDemo }) => {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [appendShows, setAppendShows] = useState(false);
+
+  const importFiles = async (fileList) => {
+    const files = Array.from(fileList ?? []);
+    if (!files.length) {
+      return;
+    }
+
+    setIsImporting(true);
+    setImportError(null);
+    try {
+      await onImport(files, { append: appendShows });
+    } catch (err) {
+      setImportError(`Couldn’t load ${files.map((file) => file.name).join(', ')}: ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    importFiles(event.dataTransfer.files);
+  };
+
+  const handleInputChange = (event) => {
+    importFiles(event.target.files);
+    event.target.value = '';
+  };
+
+  return (
+    <div
+      className={`dataset-picker${isDragging ? ' is-dragging' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <div className="dataset-picker-status">
+        <strong>Dataset</strong>
+        <span>{datasetName || 'None loaded'}</span>
+      </div>
+      <p className="dataset-picker-hint">
+        {isImporting ? 'Reading files…' : 'Drop metrics exports (CSV or JSON) here, or'}
+      </p>
+      <div className="dataset-picker-actions">
+        <button type="button" onClick={() => inputRef.current?.click()} disabled={isImporting}>
+          Choose files
+        </button>
+        {isDemoDataset ? null : (
+          <button type="button" className="button-subtle" onClick={onUseDemo} disabled={isImporting}>
+            Back to demo data
+          </button>
+        )}
+      </div>
+      <label className="dataset-picker-append">
+        <input type="checkbox" checked={appendShows} onChange={(event) => setAppendShows(event.target.checked)} />
+        Add as another show
+      </label>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        multiple
+        onChange={handleInputChange}
+        hidden
+      />
+      {importError ? (
+        <p className="dataset-picker-error" role="alert">
+          {importError}
+        </p>
+      ) : null}
+    </div>
+  );
+};
+
+export default DatasetPicker;
@@ -1,146 +1,283 @@
-import { scaleLinear } from 'd3-scale';
-import { extent, max } from 'd3-array';
+import { useState } from 'react';
+import { extent, max, min } from 'd3-array';
 import { area, line, curveMonotoneX } from 'd3-shape';
 import ChartCard from './ChartCard.jsx';
+import SelectionMarkers from './SelectionMarkers.jsx';
+import AnomalyMarkers from './AnomalyMarkers.jsx';
+import ForecastProjection from './ForecastProjection.jsx';
+import BrushRect from './BrushRect.jsx';
+import FocusMarker from './FocusMarker.jsx';
+import SmoothingControl from './SmoothingControl.jsx';
+import SegmentedControl from './SegmentedControl.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { useChartSelection } from '../hooks/useChartSelection.js';
+import { useChartKeyboard } from '../hooks/useChartKeyboard.js';
+import { useChartDimensions } from '../hooks/useChartDimensions.js';
+import { getXAxis } from '../utils/episodeAxis.js';
+import { nearestByX, withinX } from '../utils/chartHitTest.js';
+import { anomaliesForMetric } from '../utils/anomalies.js';
+import { DEFAULT_SMOOTHING, describeSmoothing, smoothSeries } from '../utils/smoothing.js';
+import { FORECAST_BAND_LABEL } from '../utils/forecast.js';
+import { episodeColumns, episodeRows, formatCount } from '../utils/chartTable.js';
+import { AXIS_SCALES, AXIS_SCALE_OPTIONS, axisBaseline, axisTicks } from '../utils/axisScales.js';
+import { themeColor } from '../utils/themes.js';
 
 const chartDimensions = {
-  width: 640,
-  height: 360,
   margin: { top: 24, right: 24, bottom: 42, left: 60 },
+  compactMargin: { top: 24, right: 12, bottom: 36, left: 48 },
 };
 
-const DownloadsTrendChart = ({ data, insight }) => {
-  const { width, height, margin } = chartDimensions;
-  const baseXDomain = extent(data, (d) => d.episode);
+const DownloadsTrendChart = ({
+  data,
+  comparison,
+  xAxisMode,
+  zoomLink,
+  zoomState,
+  selection,
+  onSelect,
+  anomalies = [],
+  anomalyMethod,
+  forecast,
+  insight,
+}) => {
+  const { containerRef, width, height, margin, ticks } = useChartDimensions(chartDimensions);
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [yScaleType, setYScaleType] = useState('linear');
+  const comparisonData = comparison?.episodes ?? [];
+  const xAxis = getXAxis(xAxisMode);
+  const forecastPoints = (forecast?.points ?? []).filter(xAxis.defined);
+  const baseXDomain = extent([...data, ...comparisonData, ...forecastPoints], xAxis.value);
 
-  const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
+  const { xDomain, zoomRef, resetZoom, zoomBy, panBy, xRange } = useZoomPan({
     width,
     height,
     margin,
     xDomain: baseXDomain,
     maxZoom: 12,
+    zoomState,
+    zoomKey: 'downloads',
+    link: zoomLink,
   });
 
-  const xScale = scaleLinear()
+  const xScale = xAxis
+    .createScale()
     .domain(xDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
 
-  const yMax = max(data, (d) => d.downloads) * 1.05;
-  const yScale = scaleLinear().domain([0, yMax]).range([height - margin.bottom, margin.top]);
+  const xOf = (d) => xScale(xAxis.value(d));
+  const { brushExtent, selectionHandlers } = useChartSelection({
+    plotBounds: [
+      [margin.left, margin.top],
+      [width - margin.right, height - margin.bottom],
+    ],
+    brushMode: 'x',
+    hitTest: ([px]) => nearestByX(data, xOf, px)?.episode ?? null,
+    brushTest: (brush) => withinX(data, xOf, brush).map((d) => d.episode),
+    onSelect,
+  });
+  const selectedData = data.filter((d) => selection.has(d.episode));
+
+  const yMax =
+    Math.max(
+      max([...data, ...comparisonData], (d) => d.downloads),
+      max(forecastPoints, (d) => d.upper) ?? 0
+    ) * 1.05;
+  const yMin = axisBaseline(yScaleType, min([...data, ...comparisonData], (d) => d.downloads));
+  const yScale = AXIS_SCALES[yScaleType]
+    .create()
+    .domain([yMin, yMax])
+    .range([height - margin.bottom, margin.top]);
+  // Anything under the axis baseline (zero downloads on a log axis, a forecast band dipping low) sits on it.
+  const yPos = (value) => yScale(Math.max(yMin, value));
 
   const downloadsLine = line()
-    .x((d) => xScale(d.episode))
-    .y((d) => yScale(d.downloads))
+    .x((d) => xScale(xAxis.value(d)))
+    .y((d) => yPos(d.downloads))
     .curve(curveMonotoneX);
 
+  const smoothedDownloads = smoothSeries(data.map((d) => d.downloads), smoothing);
+  const { focusedItem, announcement, keyboardProps } = useChartKeyboard({
+    items: data,
+    describe: (d) =>
+      `Episode ${d.episode}: ${d.downloads.toLocaleString()} downloads (${describeSmoothing(smoothing)}: ${Math.round(
+        smoothedDownloads[data.indexOf(d)]
+      ).toLocaleString()}).`,
+    onActivate: (d, mode) => onSelect([d.episode], mode),
+    zoom: { zoomBy, panBy, resetZoom },
+  });
   const rollingLine = line()
-    .x((d) => xScale(d.episode))
-    .y((d) => yScale(d.downloadsRolling))
+    .x((d) => xScale(xAxis.value(d)))
+    .y((d, idx) => yPos(smoothedDownloads[idx]))
     .curve(curveMonotoneX);
 
   const downloadsArea = area()
-    .x((d) => xScale(d.episode))
-    .y0(yScale(0))
-    .y1((d) => yScale(d.downloads))
+    .x((d) => xScale(xAxis.value(d)))
+    .y0(yScale(yMin))
+    .y1((d) => yPos(d.downloads))
     .curve(curveMonotoneX);
 
-  const xTicks = xScale.ticks(6);
-  const yTicks = yScale.ticks(5);
+  const xTicks = xScale.ticks(ticks.x);
+  const formatXTick = xAxis.tickFormat(xScale);
+  const yTicks = axisTicks(yScale, yScaleType, ticks.y);
   const latest = data[data.length - 1];
 
   return (
     <ChartCard
       title="Downloads Momentum"
       description="Episode downloads continue to climb; the rolling average smooths the growth trend and highlights seasonal dips you can prep for."
-      insight={insight}
+      insight={forecast ? `${insight} ${forecast.insight}` : insight}
+      announcement={announcement}
+      table={{
+        columns: [
+          ...episodeColumns(xAxisMode),
+          { key: 'downloads', label: 'Downloads', numeric: true, format: formatCount },
+          { key: 'smoothed', label: describeSmoothing(smoothing), numeric: true, format: formatCount },
+        ],
+        rows: episodeRows(data, xAxis, xDomain, (d, idx) => ({
+          downloads: d.downloads,
+          smoothed: smoothedDownloads[idx],
+        })),
+      }}
       legend={
         <div className="legend">
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: 'rgba(56, 189, 248, 0.45)' }} /> Episode downloads
+            <span className="legend-swatch" style={{ background: themeColor('series-primary', 0.45) }} /> Episode downloads
           </span>
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: 'rgba(129, 140, 248, 0.75)' }} /> 7-episode moving average
+            <span className="legend-swatch" style={{ background: themeColor('series-secondary', 0.75) }} />{' '}
+            {describeSmoothing(smoothing)}
           </span>
+          {forecast ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-forecast" /> Forecast ({FORECAST_BAND_LABEL})
+            </span>
+          ) : null}
+          {comparison ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-comparison" /> {comparison.show} downloads
+            </span>
+          ) : null}
         </div>
       }
-    >
-      <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Downloads per episode with moving average">
-        <defs>
-          <linearGradient id="downloadsFill" x1="0" x2="0" y1="0" y2="1">
-            <stop offset="0%" stopColor="rgba(56, 189, 248, 0.45)" />
-            <stop offset="100%" stopColor="rgba(56, 189, 248, 0.05)" />
-          </linearGradient>
-        </defs>
-        {yTicks.map((tick) => (
-          <line
-            key={`y-${tick}`}
-            className="grid-line"
-            x1={margin.left}
-            x2={width - margin.right}
-            y1={yScale(tick)}
-            y2={yScale(tick)}
+      controls={
+        <>
+          <SmoothingControl value={smoothing} onChange={setSmoothing} />
+          <SegmentedControl
+            label="Downloads axis scale"
+            options={AXIS_SCALE_OPTIONS}
+            value={yScaleType}
+            onChange={setYScaleType}
           />
-        ))}
-        <path d={downloadsArea(data)} fill="url(#downloadsFill)" opacity={0.9} />
-        <path d={downloadsLine(data)} className="line-primary" />
-        <path d={rollingLine(data)} className="line-secondary" />
-        <circle
-          className="dot-highlight"
-          cx={xScale(latest.episode)}
-          cy={yScale(latest.downloads)}
-          r={5}
-        />
-        <text
-          x={xScale(latest.episode)}
-          y={yScale(latest.downloads) - 14}
-          textAnchor="end"
-          className="axis-label"
+        </>
+      }
+    >
+      <div className="chart-svg-wrapper" ref={containerRef}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label={`Downloads per episode with ${describeSmoothing(smoothing)}`}
+          {...keyboardProps}
         >
-          {latest.downloads.toLocaleString()} downloads
-        </text>
-        {xTicks.map((tick) => (
-          <g key={`x-${tick.toFixed(3)}`}>
+          <defs>
+            <linearGradient id="downloadsFill" x1="0" x2="0" y1="0" y2="1">
+              <stop offset="0%" style={{ stopColor: themeColor('series-primary', 0.45) }} />
+              <stop offset="100%" style={{ stopColor: themeColor('series-primary', 0.05) }} />
+            </linearGradient>
+          </defs>
+          {yTicks.map((tick) => (
             <line
+              key={`y-${tick}`}
               className="grid-line"
-              x1={xScale(tick)}
-              x2={xScale(tick)}
-              y1={height - margin.bottom}
-              y2={margin.top}
-              strokeDasharray="2 6"
+              x1={margin.left}
+              x2={width - margin.right}
+              y1={yScale(tick)}
+              y2={yScale(tick)}
             />
-            <text
-              x={xScale(tick)}
-              y={height - margin.bottom + 28}
-              textAnchor="middle"
-              className="axis-label"
-            >
-              Ep {Math.round(tick)}
-            </text>
-          </g>
-        ))}
-        <text
-          x={margin.left}
-          y={margin.top - 10}
-          className="axis-label"
-          textAnchor="start"
-        >
-          Downloads per episode
-        </text>
-        <rect
-          ref={zoomRef}
-          x={margin.left}
-          y={margin.top}
-          width={width - margin.left - margin.right}
-          height={height - margin.top - margin.bottom}
-          fill="transparent"
-          className="interaction-layer"
-          onDoubleClick={resetZoom}
-          aria-hidden="true"
-        >
-          <title>Drag to pan, scroll to zoom, double-click to reset</title>
-        </rect>
-      </svg>
+          ))}
+          <path d={downloadsArea(data)} fill="url(#downloadsFill)" opacity={0.9} />
+          <path d={downloadsLine(data)} className="line-primary" />
+          <path d={rollingLine(data)} className="line-secondary" />
+          {comparison ? <path d={downloadsLine(comparisonData)} className="line-comparison" /> : null}
+          <ForecastProjection
+            points={forecastPoints}
+            origin={{ ...latest, value: latest.downloads }}
+            x={xOf}
+            y={yPos}
+          />
+          <circle
+            className="dot-highlight"
+            cx={xScale(xAxis.value(latest))}
+            cy={yPos(latest.downloads)}
+            r={5}
+          />
+          <text
+            x={xScale(xAxis.value(latest))}
+            y={yPos(latest.downloads) - 14}
+            textAnchor="end"
+            className="axis-label"
+          >
+            {latest.downloads.toLocaleString()} downloads
+          </text>
+          {xTicks.map((tick) => (
+            <g key={`x-${+tick}`}>
+              <line
+                className="grid-line"
+                x1={xScale(tick)}
+                x2={xScale(tick)}
+                y1={height - margin.bottom}
+                y2={margin.top}
+                strokeDasharray="2 6"
+              />
+              <text
+                x={xScale(tick)}
+                y={height - margin.bottom + 28}
+                textAnchor="middle"
+                className="axis-label"
+              >
+                {formatXTick(tick)}
+              </text>
+            </g>
+          ))}
+          <text
+            x={margin.left}
+            y={margin.top - 10}
+            className="axis-label"
+            textAnchor="start"
+          >
+            Downloads per episode
+          </text>
+          <AnomalyMarkers
+            anomalies={anomaliesForMetric(anomalies, 'downloads')}
+            data={data}
+            method={anomalyMethod}
+            x={xOf}
+            y={(d) => yPos(d.downloads)}
+          />
+          <SelectionMarkers
+            items={selectedData}
+            x={xOf}
+            y={(d) => yPos(d.downloads)}
+            top={margin.top}
+            bottom={height - margin.bottom}
+          />
+          <FocusMarker item={focusedItem} x={xOf} y={(d) => yPos(d.downloads)} />
+          <BrushRect extent={brushExtent} />
+          <rect
+            ref={zoomRef}
+            x={margin.left}
+            y={margin.top}
+            width={width - margin.left - margin.right}
+            height={height - margin.top - margin.bottom}
+            fill="transparent"
+            className="interaction-layer"
+            onDoubleClick={resetZoom}
+            {...selectionHandlers}
+            aria-hidden="true"
+          >
+            <title>Drag to pan, scroll to zoom, double-click to reset</title>
+          </rect>
+        </svg>
+      </div>
     </ChartCard>
   );
 };
@@ -1,55 +1,70 @@
-import { useRef, useState } from 'react';
+import { useMemo, useState } from 'react';
 import { scaleLinear } from 'd3-scale';
 import { extent, min, max } from 'd3-array';
 import ChartCard from './ChartCard.jsx';
+import BrushRect from './BrushRect.jsx';
+import FocusMarker from './FocusMarker.jsx';
+import SegmentedControl from './SegmentedControl.jsx';
+import RegressionOverlay from './RegressionOverlay.jsx';
+import ResidualsPlot from './ResidualsPlot.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { useChartSelection } from '../hooks/useChartSelection.js';
+import { useChartKeyboard } from '../hooks/useChartKeyboard.js';
+import { useChartDimensions } from '../hooks/useChartDimensions.js';
+import { nearestByXY, withinRect } from '../utils/chartHitTest.js';
+import { formatPercent, withinDomain } from '../utils/chartTable.js';
+import { DEFAULT_REGRESSION_FIT, REGRESSION_FITS, fitRegression, residualsOf } from '../utils/regression.js';
+import { themeColor } from '../utils/themes.js';
 
 const chartDimensions = {
-  width: 640,
-  height: 360,
   margin: { top: 24, right: 32, bottom: 52, left: 68 },
+  compactMargin: { top: 20, right: 16, bottom: 48, left: 56 },
 };
 
-const regressionLine = (points) => {
-  const n = points.length;
-  const sumX = points.reduce((acc, p) => acc + p.x, 0);
-  const sumY = points.reduce((acc, p) => acc + p.y, 0);
-  const sumXY = points.reduce((acc, p) => acc + p.x * p.y, 0);
-  const sumXX = points.reduce((acc, p) => acc + p.x * p.x, 0);
-  const denominator = n * sumXX - sumX * sumX;
-  if (denominator === 0) {
-    return { slope: 0, intercept: 0 };
-  }
-  const slope = (n * sumXY - sumX * sumY) / denominator;
-  const intercept = (sumY - slope * sumX) / n;
-  return { slope, intercept };
-};
+const fitOptions = Object.entries(REGRESSION_FITS).map(([value, fit]) => ({ value, label: fit.label }));
+
+const toPoint = (d) => ({
+  x: d.durationMinutes,
+  y: d.completionRate,
+  episode: d.episode,
+  topic: d.primaryTopic,
+});
 
-const DurationCompletionScatter = ({ data, insight }) => {
-  const { width, height, margin } = chartDimensions;
+const DurationCompletionScatter = ({
+  data,
+  comparison,
+  zoomState,
+  selection,
+  onSelect,
+  colorBy = 'default',
+  topics = [],
+  insight,
+}) => {
+  const { containerRef, width, height, margin, ticks } = useChartDimensions(chartDimensions);
 
   const [hoveredPoint, setHoveredPoint] = useState(null);
-  const wrapperRef = useRef(null);
+  const [fitKey, setFitKey] = useState(DEFAULT_REGRESSION_FIT);
 
-  const points = data.map((d) => ({
-    x: d.durationMinutes,
-    y: d.completionRate,
-    episode: d.episode,
-  }));
+  const points = useMemo(() => data.map(toPoint), [data]);
+  const comparisonPoints = (comparison?.episodes ?? []).map(toPoint);
+  const allPoints = [...points, ...comparisonPoints];
 
-  const xDomain = extent(points, (d) => d.x);
-  const yMin = Math.min(0.45, min(points, (d) => d.y) - 0.02);
-  const yMax = Math.max(0.95, max(points, (d) => d.y) + 0.02);
+  const xDomain = extent(allPoints, (d) => d.x);
+  const yMin = Math.min(0.45, min(allPoints, (d) => d.y) - 0.02);
+  const yMax = Math.max(0.95, max(allPoints, (d) => d.y) + 0.02);
   const yDomain = [yMin, yMax];
 
-  const { xDomain: zoomedXDomain, yDomain: zoomedYDomain, zoomRef, resetZoom, xRange, yRange } = useZoomPan({
-    width,
-    height,
-    margin,
-    xDomain,
-    yDomain,
-    maxZoom: 12,
-  });
+  const { xDomain: zoomedXDomain, yDomain: zoomedYDomain, zoomRef, resetZoom, zoomBy, panBy, xRange, yRange } =
+    useZoomPan({
+      width,
+      height,
+      margin,
+      xDomain,
+      yDomain,
+      maxZoom: 12,
+      zoomState,
+      zoomKey: 'duration',
+    });
 
   const xScale = scaleLinear()
     .domain(zoomedXDomain)
@@ -58,21 +73,46 @@ const DurationCompletionScatter = ({ data, insight }) => {
     .domain(zoomedYDomain)
     .range(yRange ?? [height - margin.bottom, margin.top]);
 
-  const regression = regressionLine(points);
-  const regressionSegment = [
-    { x: zoomedXDomain[0], y: regression.slope * zoomedXDomain[0] + regression.intercept },
-    { x: zoomedXDomain[1], y: regression.slope * zoomedXDomain[1] + regression.intercept },
-  ];
+  const xOf = (point) => xScale(point.x);
+  const yOf = (point) => yScale(point.y);
+  const { brushExtent, selectionHandlers } = useChartSelection({
+    plotBounds: [
+      [margin.left, margin.top],
+      [width - margin.right, height - margin.bottom],
+    ],
+    brushMode: 'xy',
+    hitTest: (position) => nearestByXY(points, xOf, yOf, position)?.episode ?? null,
+    brushTest: (brush) => withinRect(points, xOf, yOf, brush).map((point) => point.episode),
+    onSelect,
+  });
+  const { focusedItem, announcement, keyboardProps } = useChartKeyboard({
+    items: [...points].sort((a, b) => a.x - b.x),
+    verticalOrder: [...points].sort((a, b) => a.y - b.y),
+    describe: (point) =>
+      `Episode ${point.episode}: duration ${point.x.toFixed(1)} min, completion ${(point.y * 100).toFixed(1)}%.`,
+    onActivate: (point, mode) => onSelect([point.episode], mode),
+    zoom: { zoomBy, panBy, resetZoom },
+  });
+  const hasSelection = selection.size > 0;
+  const colorByTopic = colorBy === 'topic';
+  const topicColors = new Map(topics.map((topic) => [topic.id, topic.color]));
+  const presentTopics = new Set(points.map((point) => point.topic));
+
+  // Theil–Sen is quadratic in the number of episodes, so only refit when the points or the fit change.
+  const { regression, residuals } = useMemo(() => {
+    const fit = fitRegression(points, fitKey);
+    return { regression: fit, residuals: residualsOf(points, fit) };
+  }, [points, fitKey]);
 
-  const yTicks = yScale.ticks(5);
-  const xTicks = xScale.ticks(6);
+  const yTicks = yScale.ticks(ticks.y);
+  const xTicks = xScale.ticks(ticks.x);
 
   const bestCompletion = points.reduce((best, point) =>
     point.y > best.y ? point : best
   );
 
   const projectPointToWrapper = (point) => {
-    const wrapper = wrapperRef.current;
+    const wrapper = containerRef.current;
     if (!wrapper) {
       return null;
     }
@@ -98,7 +138,7 @@ const DurationCompletionScatter = ({ data, insight }) => {
   };
 
   const handlePointerMove = (event) => {
-    if (!wrapperRef.current) {
+    if (!containerRef.current) {
       return;
     }
 
@@ -107,7 +147,7 @@ const DurationCompletionScatter = ({ data, insight }) => {
       return;
     }
 
-    const wrapperRect = wrapperRef.current.getBoundingClientRect();
+    const wrapperRect = containerRef.current.getBoundingClientRect();
     const pointerX = event.clientX - wrapperRect.left;
     const pointerY = event.clientY - wrapperRect.top;
 
@@ -142,24 +182,72 @@ const DurationCompletionScatter = ({ data, insight }) => {
     setHoveredPoint(null);
   };
 
+  // The pointer wins; otherwise the keyboard-focused point gets the same tooltip.
+  const focusedPosition = focusedItem ? projectPointToWrapper(focusedItem) : null;
+  const tooltip = hoveredPoint ?? (focusedPosition ? { point: focusedItem, position: focusedPosition } : null);
+
   return (
     <ChartCard
       title="Episode Duration vs Completion"
       description="Check whether tighter edits or longer conversations keep listeners engaged, and cluster runtimes that need rethinking."
       insight={insight}
+      announcement={announcement}
+      table={{
+        columns: [
+          { key: 'episode', label: 'Episode', numeric: true },
+          { key: 'x', label: 'Duration (min)', numeric: true, format: (value) => value.toFixed(1) },
+          { key: 'y', label: 'Completion rate', numeric: true, format: formatPercent },
+        ],
+        rows: points
+          .filter((point) => withinDomain(point.x, zoomedXDomain) && withinDomain(point.y, zoomedYDomain))
+          .map((point) => ({ ...point, key: point.episode })),
+      }}
       legend={
         <div className="legend">
+          {colorByTopic ? null : (
+            <>
+              <span className="legend-item">
+                <span className="legend-swatch" style={{ background: themeColor('series-primary') }} /> Episode
+              </span>
+              <span className="legend-item">
+                <span className="legend-swatch" style={{ background: themeColor('highlight') }} /> Highest completion
+              </span>
+            </>
+          )}
+          {colorByTopic
+            ? topics
+                .filter((topic) => presentTopics.has(topic.id))
+                .map((topic) => (
+                  <span className="legend-item" key={topic.id}>
+                    <span className="legend-swatch" style={{ background: topic.color }} /> {topic.label}
+                  </span>
+                ))
+            : null}
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: '#38bdf8' }} /> Episode
-          </span>
-          <span className="legend-item">
-            <span className="legend-swatch" style={{ background: '#facc15' }} /> Highest completion
+            <span className="legend-swatch" style={{ background: themeColor('series-secondary', 0.8) }} />{' '}
+            {REGRESSION_FITS[fitKey].label}: {regression.equation} (R² = {regression.rSquared.toFixed(2)})
           </span>
+          {regression.band ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-band" /> 95% confidence band
+            </span>
+          ) : null}
+          {comparison ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-comparison" /> {comparison.show}
+            </span>
+          ) : null}
         </div>
       }
+      controls={<SegmentedControl label="Fit type" options={fitOptions} value={fitKey} onChange={setFitKey} />}
     >
-      <div className="chart-svg-wrapper" ref={wrapperRef}>
-        <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Scatter plot showing duration versus completion rate">
+      <div className="chart-svg-wrapper" ref={containerRef}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label="Scatter plot showing duration versus completion rate"
+          {...keyboardProps}
+        >
           {yTicks.map((tick) => (
             <g key={`y-${tick.toFixed(3)}`}>
               <line
@@ -179,22 +267,28 @@ const DurationCompletionScatter = ({ data, insight }) => {
             </text>
           </g>
         ))}
-        <line
-          x1={xScale(regressionSegment[0].x)}
-          x2={xScale(regressionSegment[1].x)}
-          y1={yScale(regressionSegment[0].y)}
-          y2={yScale(regressionSegment[1].y)}
-          className="line-secondary"
-        />
+        <RegressionOverlay model={regression} xScale={xScale} y={yScale} />
+          {comparisonPoints.map((point) => (
+            <circle
+              key={`comparison-${point.episode}`}
+              cx={xScale(point.x)}
+              cy={yScale(point.y)}
+              r={4}
+              className="dot-comparison"
+            />
+          ))}
           {points.map((point) => {
             const isBest = point.episode === bestCompletion.episode;
+            const isSelected = selection.has(point.episode);
+            const baseClass = isBest ? 'dot-highlight' : 'dot';
             return (
               <circle
                 key={point.episode}
                 cx={xScale(point.x)}
                 cy={yScale(point.y)}
-                r={isBest ? 6 : 4}
-                className={isBest ? 'dot-highlight' : 'dot'}
+                r={isBest || isSelected ? 6 : 4}
+                className={isSelected ? 'dot-selected' : `${baseClass}${hasSelection ? ' is-dimmed' : ''}`}
+                style={colorByTopic && !isSelected ? { fill: topicColors.get(point.topic) } : undefined}
                 aria-label={`Episode ${point.episode} duration ${point.x.toFixed(1)} minutes completion ${(point.y * 100).toFixed(1)} percent`}
               />
             );
@@ -225,6 +319,8 @@ const DurationCompletionScatter = ({ data, insight }) => {
         >
           Completion rate
         </text>
+          <FocusMarker item={focusedItem} x={xOf} y={yOf} />
+          <BrushRect extent={brushExtent} />
           <rect
             ref={zoomRef}
             x={margin.left}
@@ -234,31 +330,45 @@ const DurationCompletionScatter = ({ data, insight }) => {
             fill="transparent"
             className="interaction-layer"
             onDoubleClick={resetZoom}
-            onPointerMove={handlePointerMove}
+            {...selectionHandlers}
+            onPointerMove={(event) => {
+              selectionHandlers.onPointerMove(event);
+              handlePointerMove(event);
+            }}
             onPointerLeave={handlePointerLeave}
             aria-hidden="true"
           >
             <title>Drag to pan, scroll to zoom, double-click to reset</title>
           </rect>
         </svg>
-        {hoveredPoint ? (
+        {/* Keyboard focus is already read out by the card's live region, so only hovers announce here. */}
+        {tooltip ? (
           <div
             className="chart-tooltip"
-            role="status"
-            style={{ left: `${hoveredPoint.position.left}px`, top: `${hoveredPoint.position.top}px` }}
+            {...(hoveredPoint ? { role: 'status' } : { 'aria-hidden': 'true' })}
+            style={{ left: `${tooltip.position.left}px`, top: `${tooltip.position.top}px` }}
           >
-            <div className="chart-tooltip-heading">Episode {hoveredPoint.point.episode}</div>
+            <div className="chart-tooltip-heading">Episode {tooltip.point.episode}</div>
             <div className="chart-tooltip-metric">
               <span>Duration</span>
-              <strong>{hoveredPoint.point.x.toFixed(1)} min</strong>
+              <strong>{tooltip.point.x.toFixed(1)} min</strong>
             </div>
             <div className="chart-tooltip-metric">
               <span>Completion</span>
-              <strong>{(hoveredPoint.point.y * 100).toFixed(1)}%</strong>
+              <strong>{(tooltip.point.y * 100).toFixed(1)}%</strong>
             </div>
           </div>
         ) : null}
       </div>
+      <ResidualsPlot
+        residuals={residuals}
+        x={xOf}
+        width={width}
+        margin={margin}
+        selection={selection}
+        formatResidual={(value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)} pts completion`}
+        label="Residuals: completion rate versus the fit"
+      />
     </ChartCard>
   );
 };
@@ -0,0 +1,121 @@
+import { useEffect, useRef } from 'react';
+import { formatCount, formatPercent } from '../utils/chartTable.js';
+import { percentileRank } from '../utils/statistics.js';
+
+const formatRate = (value) => value.toFixed(1);
+
+const EPISODE_METRICS = [
+  { key: 'downloads', label: 'Downloads', format: formatCount },
+  { key: 'completionNumbers', label: 'Completions', format: formatCount },
+  { key: 'completionRate', label: 'Completion rate', format: formatPercent },
+  { key: 'durationMinutes', label: 'Duration', format: (value) => `${value.toFixed(1)} min` },
+  { key: 'newListeners', label: 'New listeners', format: formatCount },
+  { key: 'returningListeners', label: 'Returning listeners', format: formatCount },
+  { key: 'newListenerRatio', label: 'New-listener ratio', format: formatPercent },
+  { key: 'subscribersGained', label: 'Subscribers gained', format: formatCount },
+  { key: 'socialMediaShares', label: 'Social shares', format: formatCount },
+  { key: 'subscribersPerThousandDownloads', label: 'Subscribers per 1k downloads', format: formatRate },
+  { key: 'sharesPerThousandDownloads', label: 'Shares per 1k downloads', format: formatRate },
+  { key: 'downloadsRolling', label: 'Downloads, 7-episode average', format: formatCount },
+  { key: 'completionRolling', label: 'Completion, 7-episode average', format: formatPercent },
+  // Running totals always rank by release order, so a percentile would say nothing new.
+  { key: 'cumulativeDownloads', label: 'Cumulative downloads', format: formatCount, rankable: false },
+  { key: 'cumulativeSubscribers', label: 'Cumulative subscribers', format: formatCount, rankable: false },
+];
+
+const formatOrdinal = (value) => {
+  const rounded = Math.round(value);
+  const suffix = rounded % 100 >= 11 && rounded % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][rounded % 10] ?? 'th';
+  return `${rounded}${suffix}`;
+};
+
+const EpisodeDrawer = ({ episodeNumber, episodes, onNavigate, onClose }) => {
+  const headingRef = useRef(null);
+  const index = episodes.findIndex((d) => d.episode === episodeNumber);
+  const episode = episodes[index];
+
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, [episodeNumber]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  if (!episode) {
+    return null;
+  }
+
+  const previous = episodes[index - 1];
+  const next = episodes[index + 1];
+
+  return (
+    <aside className="episode-drawer" aria-labelledby="episode-drawer-title">
+      <div className="episode-drawer-header">
+        <span className="episode-drawer-kicker">
+          Episode {episode.episode}
+          {episode.publishDate ? ` · ${episode.publishDate.toLocaleDateString()}` : ''}
+        </span>
+        <button type="button" className="button-subtle" onClick={onClose} aria-label="Close episode details">
+          ✕
+        </button>
+      </div>
+      <h2 id="episode-drawer-title" ref={headingRef} tabIndex={-1}>
+        {episode.title}
+      </h2>
+      {episode.guest ? <p className="episode-drawer-guest">With {episode.guest}</p> : null}
+      {episode.description ? <p className="episode-drawer-description">{episode.description}</p> : null}
+
+      <table className="episode-drawer-metrics">
+        <thead>
+          <tr>
+            <th scope="col">Metric</th>
+            <th scope="col">Value</th>
+            <th scope="col">Percentile</th>
+          </tr>
+        </thead>
+        <tbody>
+          {EPISODE_METRICS.map((metric) => {
+            const value = episode[metric.key];
+            const rank =
+              metric.rankable === false ? null : percentileRank(episodes.map((d) => d[metric.key]), value);
+            return (
+              <tr key={metric.key}>
+                <th scope="row">{metric.label}</th>
+                <td>{metric.format(value)}</td>
+                <td>
+                  {rank === null ? (
+                    '—'
+                  ) : (
+                    <span className="percentile">
+                      <span className="percentile-bar" style={{ width: `${rank}%` }} />
+                      <span className="percentile-label">{formatOrdinal(rank)}</span>
+                    </span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="episode-drawer-note">Percentiles rank this episode against the {episodes.length} episodes currently shown.</p>
+
+      <div className="episode-drawer-nav">
+        <button type="button" onClick={() => onNavigate(previous.episode)} disabled={!previous}>
+          ← {previous ? `Ep ${previous.episode}` : 'Previous'}
+        </button>
+        <button type="button" onClick={() => onNavigate(next.episode)} disabled={!next}>
+          {next ? `Ep ${next.episode}` : 'Next'} →
+        </button>
+      </div>
+    </aside>
+  );
+};
+
+export default EpisodeDrawer;
@@ -0,0 +1,81 @@
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+const RangeInputs = ({ label, min, max, step, placeholder, onMinChange, onMaxChange }) => (
+  <fieldset className="filter-field filter-range">
+    <legend>{label}</legend>
+    <input
+      type="number"
+      aria-label={`${label} from`}
+      value={min ?? ''}
+      step={step}
+      placeholder={placeholder[0]}
+      onChange={(event) => onMinChange(toNumberOrNull(event.target.value))}
+    />
+    <span aria-hidden="true">–</span>
+    <input
+      type="number"
+      aria-label={`${label} to`}
+      value={max ?? ''}
+      step={step}
+      placeholder={placeholder[1]}
+      onChange={(event) => onMaxChange(toNumberOrNull(event.target.value))}
+    />
+  </fieldset>
+);
+
+const FilterBar = ({ filters, catalog, matchCount, activeFilterCount, onFilterChange, onClear }) => (
+  <section className="filter-bar" aria-label="Episode filters">
+    <RangeInputs
+      label="Episodes"
+      min={filters.episodeMin}
+      max={filters.episodeMax}
+      step={1}
+      placeholder={catalog.episodeExtent.map(String)}
+      onMinChange={(value) => onFilterChange('episodeMin', value)}
+      onMaxChange={(value) => onFilterChange('episodeMax', value)}
+    />
+    <label className="filter-field">
+      <span>Guest</span>
+      <input
+        type="search"
+        list="filter-guest-options"
+        value={filters.guest}
+        placeholder="Any guest"
+        onChange={(event) => onFilterChange('guest', event.target.value)}
+      />
+      <datalist id="filter-guest-options">
+        {catalog.guests.map((guest) => (
+          <option key={guest} value={guest} />
+        ))}
+      </datalist>
+    </label>
+    <label className="filter-field">
+      <span>Title keyword</span>
+      <input
+        type="search"
+        value={filters.keyword}
+        placeholder="e.g. robotics"
+        onChange={(event) => onFilterChange('keyword', event.target.value)}
+      />
+    </label>
+    <RangeInputs
+      label="Runtime (min)"
+      min={filters.durationMin}
+      max={filters.durationMax}
+      step={0.5}
+      placeholder={catalog.durationExtent.map((value) => value.toFixed(0))}
+      onMinChange={(value) => onFilterChange('durationMin', value)}
+      onMaxChange={(value) => onFilterChange('durationMax', value)}
+    />
+    <div className="filter-status" role="status">
+      <strong>{matchCount}</strong> of {catalog.episodeCount} episodes match
+      {activeFilterCount ? (
+        <button type="button" className="button-subtle" onClick={onClear}>
+          Clear {activeFilterCount === 1 ? 'filter' : `${activeFilterCount} filters`}
+        </button>
+      ) : null}
+    </div>
+  </section>
+);
+
+export default FilterBar;
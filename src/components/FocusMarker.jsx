@@ -0,0 +1,5 @@
+// Ring around the keyboard-focused datum; the chart's live region reads out its values.
+const FocusMarker = ({ item, x, y }) =>
+  item ? <circle className="focus-ring" cx={x(item)} cy={y(item)} r={9} aria-hidden="true" /> : null;
+
+export default FocusMarker;
@@ -0,0 +1,39 @@
+import { FORECAST_HORIZON_RANGE, FORECAST_MODELS } from '../utils/forecast.js';
+
+const ForecastControl = ({ value, onChange }) => {
+  const [minHorizon, maxHorizon] = FORECAST_HORIZON_RANGE;
+  const isOff = value.model === 'off';
+
+  return (
+    <div className="smoothing-control forecast-control">
+      <label>
+        Forecast
+        <select value={value.model} onChange={(event) => onChange({ ...value, model: event.target.value })}>
+          <option value="off">Off</option>
+          {Object.entries(FORECAST_MODELS).map(([model, forecaster]) => (
+            <option key={model} value={model}>
+              {forecaster.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Next
+        <input
+          type="range"
+          min={minHorizon}
+          max={maxHorizon}
+          step={1}
+          value={value.horizon}
+          disabled={isOff}
+          onChange={(event) => onChange({ ...value, horizon: Number(event.target.value) })}
+        />
+        <output>
+          {value.horizon} {value.horizon === 1 ? 'episode' : 'episodes'}
+        </output>
+      </label>
+    </div>
+  );
+};
+
+export default ForecastControl;
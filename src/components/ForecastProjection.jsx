@@ -0,0 +1,26 @@
+import { area, line } from 'd3-shape';
+
+// Continues the series from its last actual point so the projection reads as one line rather than a gap.
+const ForecastProjection = ({ points, origin, x, y }) => {
+  if (!points?.length) {
+    return null;
+  }
+
+  const series = [{ ...origin, lower: origin.value, upper: origin.value }, ...points];
+  const band = area()
+    .x(x)
+    .y0((d) => y(Math.max(0, d.lower)))
+    .y1((d) => y(d.upper));
+  const projection = line()
+    .x(x)
+    .y((d) => y(d.value));
+
+  return (
+    <g className="forecast-projection">
+      <path d={band(series)} className="forecast-band" />
+      <path d={projection(series)} className="line-forecast" />
+    </g>
+  );
+};
+
+export default ForecastProjection;
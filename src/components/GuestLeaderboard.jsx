@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import ChartCard from './ChartCard.jsx';
+import { formatCount, formatPercent } from '../utils/chartTable.js';
+import { aggregateGuests, compareGuestFormats } from '../utils/guests.js';
+
+const COLUMNS = [
+  { key: 'name', label: 'Guest', numeric: false },
+  { key: 'episodeCount', label: 'Episodes', numeric: true, format: (value) => value },
+  { key: 'averageDownloads', label: 'Avg downloads', numeric: true, format: formatCount },
+  { key: 'averageCompletionRate', label: 'Avg completion', numeric: true, format: formatPercent },
+  { key: 'averageSubscribersGained', label: 'Avg subs gained', numeric: true, format: (value) => value.toFixed(1) },
+  { key: 'averageShares', label: 'Avg shares', numeric: true, format: formatCount },
+];
+
+const DEFAULT_VISIBLE_ROWS = 10;
+
+const GuestLeaderboard = ({ data, insight, onGuestSelect }) => {
+  const [sort, setSort] = useState({ key: 'averageDownloads', direction: 'desc' });
+  const [showAll, setShowAll] = useState(false);
+
+  const guests = aggregateGuests(data);
+  const formats = compareGuestFormats(data);
+
+  const sorted = [...guests].sort((a, b) => {
+    const order = typeof a[sort.key] === 'string' ? a[sort.key].localeCompare(b[sort.key]) : a[sort.key] - b[sort.key];
+    return sort.direction === 'asc' ? order : -order;
+  });
+  const visible = showAll ? sorted : sorted.slice(0, DEFAULT_VISIBLE_ROWS);
+
+  const toggleSort = (column) => {
+    setSort((prev) =>
+      prev.key === column.key
+        ? { key: column.key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+        : { key: column.key, direction: column.numeric ? 'desc' : 'asc' }
+    );
+  };
+
+  return (
+    <ChartCard
+      title="Guest Leaderboard"
+      description="See which guests draw the biggest audiences and keep listeners to the end, and whether panels outperform one-on-one conversations."
+      insight={insight}
+      exportable={false}
+    >
+      <div className="guest-leaderboard-formats">
+        {[
+          { label: 'Solo guest', stats: formats.solo },
+          { label: 'Panel (2+ guests)', stats: formats.panel },
+        ].map(({ label, stats }) => (
+          <div className="guest-leaderboard-format" key={label}>
+            <strong>{label}</strong>
+            <span>{stats.episodeCount} episodes</span>
+            <span>{formatCount(stats.averageDownloads)} avg downloads</span>
+            <span>{formatPercent(stats.averageCompletionRate)} avg completion</span>
+            <span>{stats.averageSubscribersGained.toFixed(1)} avg subs gained</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="guest-leaderboard-scroll">
+        <table className="guest-leaderboard-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((column) => (
+                <th
+                  key={column.key}
+                  scope="col"
+                  className={column.numeric ? 'is-numeric' : undefined}
+                  aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button type="button" className="guest-leaderboard-sort" onClick={() => toggleSort(column)}>
+                    {column.label}
+                    <span aria-hidden="true">{sort.key === column.key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}</span>
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((guest) => (
+              <tr key={guest.name}>
+                <th scope="row">
+                  <button
+                    type="button"
+                    className="guest-leaderboard-name"
+                    onClick={() => onGuestSelect(guest.name)}
+                    title={`Filter the dashboard to episodes with ${guest.name}`}
+                  >
+                    {guest.name}
+                  </button>
+                </th>
+                {COLUMNS.slice(1).map((column) => (
+                  <td key={column.key} className="is-numeric">
+                    {column.format(guest[column.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {sorted.length > DEFAULT_VISIBLE_ROWS ? (
+        <button type="button" className="button-subtle" onClick={() => setShowAll((prev) => !prev)}>
+          {showAll ? 'Show top 10' : `Show all ${sorted.length} guests`}
+        </button>
+      ) : null}
+    </ChartCard>
+  );
+};
+
+export default GuestLeaderboard;
@@ -0,0 +1,41 @@
+import { useState } from 'react';
+
+const KeyFindingsPanel = ({ findings, onSelect, limit = 5 }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  if (!findings.length) {
+    return null;
+  }
+
+  const visible = showAll ? findings : findings.slice(0, limit);
+
+  return (
+    <section className="key-findings" aria-labelledby="key-findings-title">
+      <h2 id="key-findings-title" className="key-findings-title">
+        Key findings
+      </h2>
+      <ol className="key-findings-list">
+        {visible.map((finding) => (
+          <li key={finding.id}>
+            <div>
+              <strong>{finding.title}</strong>
+              <span>{finding.text}</span>
+            </div>
+            {finding.episodes.length ? (
+              <button type="button" className="button-subtle" onClick={() => onSelect(finding.episodes, 'replace')}>
+                Select {finding.episodes.length} {finding.episodes.length === 1 ? 'episode' : 'episodes'}
+              </button>
+            ) : null}
+          </li>
+        ))}
+      </ol>
+      {findings.length > limit ? (
+        <button type="button" className="button-subtle" onClick={() => setShowAll((prev) => !prev)}>
+          {showAll ? `Show top ${limit}` : `Show all ${findings.length} findings`}
+        </button>
+      ) : null}
+    </section>
+  );
+};
+
+export default KeyFindingsPanel;
@@ -1,55 +1,117 @@
 import { scaleLinear } from 'd3-scale';
 import { extent } from 'd3-array';
-import { area, curveMonotoneX, stack } from 'd3-shape';
+import { area, line, curveMonotoneX, stack } from 'd3-shape';
 import ChartCard from './ChartCard.jsx';
+import SelectionMarkers from './SelectionMarkers.jsx';
+import BrushRect from './BrushRect.jsx';
+import FocusMarker from './FocusMarker.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { useChartSelection } from '../hooks/useChartSelection.js';
+import { useChartKeyboard } from '../hooks/useChartKeyboard.js';
+import { useChartDimensions } from '../hooks/useChartDimensions.js';
+import { getXAxis } from '../utils/episodeAxis.js';
+import { nearestByX, withinX } from '../utils/chartHitTest.js';
+import { episodeColumns, episodeRows, formatCount, formatPercent } from '../utils/chartTable.js';
+
+const returningShareOf = (d) => (d.listenersTotal === 0 ? 0 : d.returningListeners / d.listenersTotal);
 
 const chartDimensions = {
-  width: 640,
-  height: 360,
   margin: { top: 24, right: 24, bottom: 42, left: 60 },
+  compactMargin: { top: 24, right: 12, bottom: 36, left: 48 },
 };
 
-const ListenerMixChart = ({ data, insight }) => {
-  const { width, height, margin } = chartDimensions;
+const ListenerMixChart = ({ data, comparison, xAxisMode, zoomLink, zoomState, selection, onSelect, insight }) => {
+  const { containerRef, width, height, margin, ticks } = useChartDimensions(chartDimensions);
+  const comparisonData = comparison?.episodes ?? [];
 
-  const baseXDomain = extent(data, (d) => d.episode);
+  const xAxis = getXAxis(xAxisMode);
+  const baseXDomain = extent([...data, ...comparisonData], xAxis.value);
 
-  const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
+  const { xDomain, zoomRef, resetZoom, zoomBy, panBy, xRange } = useZoomPan({
     width,
     height,
     margin,
     xDomain: baseXDomain,
     maxZoom: 12,
+    zoomState,
+    zoomKey: 'listenerMix',
+    link: zoomLink,
   });
 
-  const xScale = scaleLinear()
+  const xScale = xAxis
+    .createScale()
     .domain(xDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
 
+  const xOf = (d) => xScale(xAxis.value(d));
+  const { brushExtent, selectionHandlers } = useChartSelection({
+    plotBounds: [
+      [margin.left, margin.top],
+      [width - margin.right, height - margin.bottom],
+    ],
+    brushMode: 'x',
+    hitTest: ([px]) => nearestByX(data, xOf, px)?.episode ?? null,
+    brushTest: (brush) => withinX(data, xOf, brush).map((d) => d.episode),
+    onSelect,
+  });
+  const selectedData = data.filter((d) => selection.has(d.episode));
+
   const yScale = scaleLinear().domain([0, 1]).range([height - margin.bottom, margin.top]);
 
   const shareData = data.map((d) => ({
     newShare: d.listenersTotal === 0 ? 0 : d.newListeners / d.listenersTotal,
-    returningShare: d.listenersTotal === 0 ? 0 : d.returningListeners / d.listenersTotal,
+    returningShare: returningShareOf(d),
   }));
 
   const stacked = stack().keys(['returningShare', 'newShare'])(shareData);
 
   const areaGenerator = area()
-    .x((_, idx) => xScale(data[idx].episode))
+    .x((_, idx) => xScale(xAxis.value(data[idx])))
     .y0((d) => yScale(d[0]))
     .y1((d) => yScale(d[1]))
     .curve(curveMonotoneX);
 
+  // The stack boundary sits at the returning share, so the comparison line traces the same edge.
+  const comparisonBoundary = line()
+    .x((d) => xScale(xAxis.value(d)))
+    .y((d) => yScale(returningShareOf(d)))
+    .curve(curveMonotoneX);
+
+  const { focusedItem, announcement, keyboardProps } = useChartKeyboard({
+    items: data,
+    describe: (d) => {
+      const { returningShare, newShare } = shareData[data.indexOf(d)];
+      const returning = `${(returningShare * 100).toFixed(1)}% returning (${d.returningListeners.toLocaleString()})`;
+      return `Episode ${d.episode}: ${returning}, ${(newShare * 100).toFixed(1)}% new (${d.newListeners.toLocaleString()}).`;
+    },
+    onActivate: (d, mode) => onSelect([d.episode], mode),
+    zoom: { zoomBy, panBy, resetZoom },
+  });
+
   const yTicks = [0, 0.25, 0.5, 0.75, 1];
-  const xTicks = xScale.ticks(6);
+  const xTicks = xScale.ticks(ticks.x);
+  const formatXTick = xAxis.tickFormat(xScale);
 
   return (
     <ChartCard
       title="Listener Mix"
       description="See how the audience blend between new and returning listeners shifts, so you can balance acquisition campaigns and retention hooks."
       insight={insight}
+      announcement={announcement}
+      table={{
+        columns: [
+          ...episodeColumns(xAxisMode),
+          { key: 'returningShare', label: 'Returning share', numeric: true, format: formatPercent },
+          { key: 'newShare', label: 'New share', numeric: true, format: formatPercent },
+          { key: 'returningListeners', label: 'Returning listeners', numeric: true, format: formatCount },
+          { key: 'newListeners', label: 'New listeners', numeric: true, format: formatCount },
+        ],
+        rows: episodeRows(data, xAxis, xDomain, (d, idx) => ({
+          ...shareData[idx],
+          returningListeners: d.returningListeners,
+          newListeners: d.newListeners,
+        })),
+      }}
       legend={
         <div className="legend">
           <span className="legend-item">
@@ -58,64 +120,86 @@ const ListenerMixChart = ({ data, insight }) => {
           <span className="legend-item">
             <span className="legend-swatch stack-new" /> New listeners
           </span>
+          {comparison ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-comparison" /> {comparison.show} returning share
+            </span>
+          ) : null}
         </div>
       }
     >
-      <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Stacked area showing listener composition">
-        {yTicks.map((tick) => (
-          <g key={`y-${tick}`}>
-            <line
-              className="grid-line"
-              x1={margin.left}
-              x2={width - margin.right}
-              y1={yScale(tick)}
-              y2={yScale(tick)}
-            />
+      <div className="chart-svg-wrapper" ref={containerRef}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label="Stacked area showing listener composition"
+          {...keyboardProps}
+        >
+          {yTicks.map((tick) => (
+            <g key={`y-${tick}`}>
+              <line
+                className="grid-line"
+                x1={margin.left}
+                x2={width - margin.right}
+                y1={yScale(tick)}
+                y2={yScale(tick)}
+              />
+              <text
+                x={margin.left - 16}
+                y={yScale(tick) + 4}
+                textAnchor="end"
+                className="axis-label"
+              >
+                {(tick * 100).toFixed(0)}%
+              </text>
+            </g>
+          ))}
+          <path d={areaGenerator(stacked[0])} className="stack-returning" />
+          <path d={areaGenerator(stacked[1])} className="stack-new" />
+          {comparison ? <path d={comparisonBoundary(comparisonData)} className="line-comparison" /> : null}
+          {xTicks.map((tick) => (
             <text
-              x={margin.left - 16}
-              y={yScale(tick) + 4}
-              textAnchor="end"
+              key={`x-${+tick}`}
+              x={xScale(tick)}
+              y={height - margin.bottom + 28}
+              textAnchor="middle"
               className="axis-label"
             >
-              {(tick * 100).toFixed(0)}%
+              {formatXTick(tick)}
             </text>
-          </g>
-        ))}
-        <path d={areaGenerator(stacked[0])} className="stack-returning" />
-        <path d={areaGenerator(stacked[1])} className="stack-new" />
-        {xTicks.map((tick) => (
+          ))}
           <text
-            key={`x-${tick.toFixed(3)}`}
-            x={xScale(tick)}
-            y={height - margin.bottom + 28}
-            textAnchor="middle"
+            x={margin.left - 10}
+            y={margin.top}
+            textAnchor="end"
             className="axis-label"
           >
-            Ep {Math.round(tick)}
+            Audience share
           </text>
-        ))}
-        <text
-          x={margin.left - 10}
-          y={margin.top}
-          textAnchor="end"
-          className="axis-label"
-        >
-          Audience share
-        </text>
-        <rect
-          ref={zoomRef}
-          x={margin.left}
-          y={margin.top}
-          width={width - margin.left - margin.right}
-          height={height - margin.top - margin.bottom}
-          fill="transparent"
-          className="interaction-layer"
-          onDoubleClick={resetZoom}
-          aria-hidden="true"
-        >
-          <title>Drag to pan, scroll to zoom, double-click to reset</title>
-        </rect>
-      </svg>
+          <SelectionMarkers
+            items={selectedData}
+            x={xOf}
+            top={margin.top}
+            bottom={height - margin.bottom}
+          />
+          <FocusMarker item={focusedItem} x={xOf} y={(d) => yScale(returningShareOf(d))} />
+          <BrushRect extent={brushExtent} />
+          <rect
+            ref={zoomRef}
+            x={margin.left}
+            y={margin.top}
+            width={width - margin.left - margin.right}
+            height={height - margin.top - margin.bottom}
+            fill="transparent"
+            className="interaction-layer"
+            onDoubleClick={resetZoom}
+            {...selectionHandlers}
+            aria-hidden="true"
+          >
+            <title>Drag to pan, scroll to zoom, double-click to reset</title>
+          </rect>
+        </svg>
+      </div>
     </ChartCard>
   );
 };
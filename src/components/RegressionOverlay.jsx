@@ -0,0 +1,29 @@
+import { area, line } from 'd3-shape';
+
+const SAMPLE_COUNT = 48;
+
+// Samples the fit evenly across the plot's pixels, so curved fits and non-linear axes both draw smoothly.
+const RegressionOverlay = ({ model, xScale, y }) => {
+  const [left, right] = xScale.range();
+  const samples = Array.from({ length: SAMPLE_COUNT + 1 }, (_, idx) => {
+    const x = xScale.invert(left + ((right - left) * idx) / SAMPLE_COUNT);
+    return { x, y: model.predict(x), band: model.band?.(x) };
+  }).filter((sample) => Number.isFinite(sample.y));
+
+  const fitLine = line()
+    .x((d) => xScale(d.x))
+    .y((d) => y(d.y));
+  const bandArea = area()
+    .x((d) => xScale(d.x))
+    .y0((d) => y(d.band[0]))
+    .y1((d) => y(d.band[1]));
+
+  return (
+    <g className="regression-overlay">
+      {model.band ? <path d={bandArea(samples)} className="regression-band" /> : null}
+      <path d={fitLine(samples)} className="line-secondary" />
+    </g>
+  );
+};
+
+export default RegressionOverlay;
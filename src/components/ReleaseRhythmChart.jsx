@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import { scaleBand, scaleLinear } from 'd3-scale';
+import { max, min } from 'd3-array';
+import { line } from 'd3-shape';
+import ChartCard from './ChartCard.jsx';
+import SegmentedControl from './SegmentedControl.jsx';
+import { useChartKeyboard } from '../hooks/useChartKeyboard.js';
+import { useChartDimensions } from '../hooks/useChartDimensions.js';
+import { formatCount, formatPercent } from '../utils/chartTable.js';
+import { CALENDAR_GROUPINGS, summarizeByCalendar } from '../utils/releaseCalendar.js';
+import { themeColor } from '../utils/themes.js';
+
+const chartDimensions = {
+  margin: { top: 24, right: 60, bottom: 42, left: 60 },
+  compactMargin: { top: 24, right: 40, bottom: 36, left: 44 },
+};
+
+const groupingOptions = Object.entries(CALENDAR_GROUPINGS).map(([value, grouping]) => ({
+  value,
+  label: grouping.label,
+}));
+
+const describeGroup = (group) =>
+  `${group.name}: ${group.episodeCount} episodes, ${Math.round(group.averageDownloads).toLocaleString()} avg downloads, ${(
+    group.averageCompletionRate * 100
+  ).toFixed(1)}% avg completion`;
+
+const ReleaseRhythmChart = ({ data, insight }) => {
+  const { containerRef, width, height, margin, ticks } = useChartDimensions(chartDimensions);
+  const [grouping, setGrouping] = useState('weekday');
+
+  const groups = summarizeByCalendar(data, grouping);
+  const populated = groups.filter((group) => group.episodeCount);
+  const { focusedItem, announcement, keyboardProps } = useChartKeyboard({
+    items: populated,
+    keyOf: (group) => group.key,
+    describe: describeGroup,
+  });
+
+  const xScale = scaleBand()
+    .domain(groups.map((group) => group.shortName))
+    .range([margin.left, width - margin.right])
+    .padding(0.25);
+
+  const downloadsScale = scaleLinear()
+    .domain([0, max(populated, (group) => group.averageDownloads) * 1.1])
+    .range([height - margin.bottom, margin.top]);
+
+  const completionScale = scaleLinear()
+    .domain([
+      Math.min(0.45, min(populated, (group) => group.averageCompletionRate) - 0.02),
+      Math.max(0.95, max(populated, (group) => group.averageCompletionRate) + 0.02),
+    ])
+    .range([height - margin.bottom, margin.top]);
+
+  const completionLine = line()
+    .x((group) => xScale(group.shortName) + xScale.bandwidth() / 2)
+    .y((group) => completionScale(group.averageCompletionRate));
+
+  const downloadTicks = downloadsScale.ticks(ticks.y);
+  const completionTicks = completionScale.ticks(ticks.y);
+
+  return (
+    <ChartCard
+      title="Release Rhythm"
+      description="Compare how episodes perform depending on the day or month they ship, so the release calendar works with your audience habits."
+      insight={insight}
+      announcement={announcement}
+      table={{
+        columns: [
+          // Calendar order, not alphabetical.
+          { key: 'name', label: CALENDAR_GROUPINGS[grouping].label, numeric: false, sortValue: (row) => row.order },
+          { key: 'episodeCount', label: 'Episodes', numeric: true },
+          { key: 'averageDownloads', label: 'Avg downloads', numeric: true, format: formatCount },
+          { key: 'averageCompletionRate', label: 'Avg completion', numeric: true, format: formatPercent },
+        ],
+        rows: populated.map((group) => ({ ...group, order: groups.indexOf(group) })),
+      }}
+      legend={
+        <div className="legend">
+          <span className="legend-item">
+            <span className="legend-swatch" style={{ background: themeColor('series-primary', 0.45) }} /> Avg downloads
+          </span>
+          <span className="legend-item">
+            <span className="legend-swatch" style={{ background: themeColor('highlight') }} /> Avg completion
+          </span>
+        </div>
+      }
+      controls={
+        <SegmentedControl label="Group releases by" options={groupingOptions} value={grouping} onChange={setGrouping} />
+      }
+    >
+      <div className="chart-svg-wrapper" ref={containerRef}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label={`Average downloads and completion by ${CALENDAR_GROUPINGS[grouping].label.toLowerCase()}`}
+          {...keyboardProps}
+        >
+          {downloadTicks.map((tick) => (
+            <g key={`y-${tick}`}>
+              <line
+                className="grid-line"
+                x1={margin.left}
+                x2={width - margin.right}
+                y1={downloadsScale(tick)}
+                y2={downloadsScale(tick)}
+              />
+              <text x={margin.left - 12} y={downloadsScale(tick) + 4} textAnchor="end" className="axis-label">
+                {Math.round(tick).toLocaleString()}
+              </text>
+            </g>
+          ))}
+          {completionTicks.map((tick) => (
+            <text
+              key={`y2-${tick}`}
+              x={width - margin.right + 12}
+              y={completionScale(tick) + 4}
+              textAnchor="start"
+              className="axis-label"
+            >
+              {(tick * 100).toFixed(0)}%
+            </text>
+          ))}
+          {groups.map((group) => (
+            <g key={group.key}>
+              {group.episodeCount ? (
+                <rect
+                  className={`bar-primary${group.key === focusedItem?.key ? ' is-focused' : ''}`}
+                  x={xScale(group.shortName)}
+                  y={downloadsScale(group.averageDownloads)}
+                  width={xScale.bandwidth()}
+                  height={downloadsScale(0) - downloadsScale(group.averageDownloads)}
+                >
+                  <title>{describeGroup(group)}</title>
+                </rect>
+              ) : null}
+              <text
+                x={xScale(group.shortName) + xScale.bandwidth() / 2}
+                y={height - margin.bottom + 28}
+                textAnchor="middle"
+                className={`axis-label${group.episodeCount ? '' : ' is-muted'}`}
+              >
+                {group.shortName}
+              </text>
+            </g>
+          ))}
+          <path d={completionLine(populated)} className="line-accent" />
+          {populated.map((group) => (
+            <circle
+              key={`completion-${group.key}`}
+              className="dot-highlight"
+              cx={xScale(group.shortName) + xScale.bandwidth() / 2}
+              cy={completionScale(group.averageCompletionRate)}
+              r={4}
+            />
+          ))}
+          <text x={margin.left} y={margin.top - 10} textAnchor="start" className="axis-label">
+            Avg downloads
+          </text>
+          <text x={width - margin.right} y={margin.top - 10} textAnchor="end" className="axis-label">
+            Avg completion
+          </text>
+        </svg>
+      </div>
+    </ChartCard>
+  );
+};
+
+export default ReleaseRhythmChart;
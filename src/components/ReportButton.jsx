@@ -0,0 +1,30 @@
+import { downloadBlob, toFileName } from '../utils/exportChart.js';
+import { buildReportHtml } from '../utils/exportReport.js';
+
+const ReportButton = ({ rootRef, datasetName, summaries, activeFilterCount }) => {
+  const handleClick = () => {
+    if (!rootRef.current) {
+      return;
+    }
+    const html = buildReportHtml(rootRef.current, {
+      datasetName,
+      summaries,
+      filterNote: activeFilterCount
+        ? `${activeFilterCount} ${activeFilterCount === 1 ? 'filter' : 'filters'} applied`
+        : null,
+    });
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(
+      new Blob([html], { type: 'text/html;charset=utf-8' }),
+      toFileName(`${summaries[0].show} report ${stamp}`, 'html')
+    );
+  };
+
+  return (
+    <button type="button" className="button-subtle" onClick={handleClick}>
+      Download report
+    </button>
+  );
+};
+
+export default ReportButton;
@@ -0,0 +1,56 @@
+import { scaleLinear } from 'd3-scale';
+import { max } from 'd3-array';
+
+const plotHeight = 120;
+const plotMargin = { top: 14, bottom: 18 };
+
+// Mini-plot of actual minus fitted values on the scatter's own x positions, so columns line up with the chart above.
+const ResidualsPlot = ({ residuals, x, width, margin, selection, formatResidual, label }) => {
+  const [left, right] = [margin.left, width - margin.right];
+  const visible = residuals.filter((point) => {
+    const px = x(point);
+    return Number.isFinite(point.residual) && px >= left && px <= right;
+  });
+  const extentAbs = max(visible, (point) => Math.abs(point.residual)) || 1;
+  const yScale = scaleLinear()
+    .domain([-extentAbs * 1.1, extentAbs * 1.1])
+    .range([plotHeight - plotMargin.bottom, plotMargin.top]);
+  const hasSelection = selection.size > 0;
+  const underperformers = visible.filter((point) => point.isUnderperforming);
+
+  return (
+    <figure className="residuals-plot">
+      <svg
+        viewBox={`0 0 ${width} ${plotHeight}`}
+        role="img"
+        aria-label={`${label}: ${underperformers.length} under-performing ${
+          underperformers.length === 1 ? 'episode' : 'episodes'
+        } highlighted`}
+      >
+        <line className="residuals-zero" x1={left} x2={right} y1={yScale(0)} y2={yScale(0)} />
+        <text x={left} y={plotMargin.top - 4} className="axis-label">
+          {label}
+        </text>
+        {visible.map((point) => {
+          const isSelected = selection.has(point.episode);
+          const baseClass = point.isUnderperforming ? 'dot-underperform' : 'dot';
+          return (
+            <circle
+              key={point.episode}
+              cx={x(point)}
+              cy={yScale(point.residual)}
+              r={point.isUnderperforming || isSelected ? 4 : 3}
+              className={isSelected ? 'dot-selected' : `${baseClass}${hasSelection ? ' is-dimmed' : ''}`}
+            >
+              <title>{`Ep ${point.episode}: ${formatResidual(point.residual)} versus the fit${
+                point.isUnderperforming ? ' (under-performing)' : ''
+              }`}</title>
+            </circle>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+};
+
+export default ResidualsPlot;
@@ -0,0 +1,18 @@
+const SegmentedControl = ({ label, options, value, onChange }) => (
+  <div className="segmented-control" role="group" aria-label={label}>
+    {options.map((option) => (
+      <button
+        key={option.value}
+        type="button"
+        className={option.value === value ? 'is-active' : undefined}
+        aria-pressed={option.value === value}
+        disabled={option.disabled}
+        onClick={() => onChange(option.value)}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+export default SegmentedControl;
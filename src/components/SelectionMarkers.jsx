@@ -0,0 +1,9 @@
+const SelectionMarkers = ({ items, x, y, top, bottom }) =>
+  items.map((item) => (
+    <g key={`selected-${item.episode}`} className="selection-marker">
+      <line x1={x(item)} x2={x(item)} y1={top} y2={bottom} />
+      {y ? <circle className="dot-selected" cx={x(item)} cy={y(item)} r={5} /> : null}
+    </g>
+  ));
+
+export default SelectionMarkers;
@@ -1,171 +1,299 @@
-import { scaleLinear } from 'd3-scale';
-import { extent, max } from 'd3-array';
+import { useMemo, useState } from 'react';
+import { extent, max, min } from 'd3-array';
 import ChartCard from './ChartCard.jsx';
+import BrushRect from './BrushRect.jsx';
+import FocusMarker from './FocusMarker.jsx';
+import SegmentedControl from './SegmentedControl.jsx';
+import RegressionOverlay from './RegressionOverlay.jsx';
+import ResidualsPlot from './ResidualsPlot.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { useChartSelection } from '../hooks/useChartSelection.js';
+import { useChartKeyboard } from '../hooks/useChartKeyboard.js';
+import { useChartDimensions } from '../hooks/useChartDimensions.js';
+import { nearestByXY, withinRect } from '../utils/chartHitTest.js';
+import { formatCount, withinDomain } from '../utils/chartTable.js';
+import { AXIS_SCALES, AXIS_SCALE_OPTIONS, axisBaseline, axisTicks, axisValue } from '../utils/axisScales.js';
+import { DEFAULT_REGRESSION_FIT, REGRESSION_FITS, fitRegression, residualsOf } from '../utils/regression.js';
+import { themeColor } from '../utils/themes.js';
 
 const chartDimensions = {
-  width: 640,
-  height: 360,
   margin: { top: 24, right: 32, bottom: 52, left: 68 },
+  compactMargin: { top: 20, right: 16, bottom: 48, left: 56 },
 };
 
-const calculateRegression = (points) => {
-  const n = points.length;
-  const sumX = points.reduce((acc, p) => acc + p.x, 0);
-  const sumY = points.reduce((acc, p) => acc + p.y, 0);
-  const sumXY = points.reduce((acc, p) => acc + p.x * p.y, 0);
-  const sumXX = points.reduce((acc, p) => acc + p.x * p.x, 0);
-  const denominator = n * sumXX - sumX * sumX;
-  if (denominator === 0) {
-    return { slope: 0, intercept: sumY / n || 0 };
-  }
-  const slope = (n * sumXY - sumX * sumY) / denominator;
-  const intercept = (sumY - slope * sumX) / n;
-  return { slope, intercept };
-};
+const fitOptions = Object.entries(REGRESSION_FITS).map(([value, fit]) => ({ value, label: fit.label }));
 
-const SharesSubscribersScatter = ({ data, insight }) => {
-  const { width, height, margin } = chartDimensions;
+const toPoint = (d) => ({
+  x: d.socialMediaShares,
+  y: d.subscribersGained,
+  episode: d.episode,
+  title: d.title,
+  topic: d.primaryTopic,
+});
 
-  const points = data.map((d) => ({
-    x: d.socialMediaShares,
-    y: d.subscribersGained,
-    episode: d.episode,
-    title: d.title,
-  }));
+const describePoint = (point) => `Ep ${point.episode}: ${point.title}
+${point.x} shares → ${point.y} subscribers`;
 
-  const xDomain = extent(points, (p) => p.x);
-  const yDomain = [0, max(points, (p) => p.y) * 1.1];
+const SharesSubscribersScatter = ({
+  data,
+  comparison,
+  zoomState,
+  selection,
+  onSelect,
+  colorBy = 'default',
+  topics = [],
+  insight,
+}) => {
+  const { containerRef, width, height, margin, ticks } = useChartDimensions(chartDimensions);
+  const [fitKey, setFitKey] = useState(DEFAULT_REGRESSION_FIT);
+  const [scaleType, setScaleType] = useState('linear');
 
-  const { xDomain: zoomedXDomain, yDomain: zoomedYDomain, zoomRef, resetZoom, xRange, yRange } = useZoomPan({
-    width,
-    height,
-    margin,
-    xDomain,
-    yDomain,
-    maxZoom: 12,
-  });
+  const points = useMemo(() => data.map(toPoint), [data]);
+  const comparisonPoints = (comparison?.episodes ?? []).map(toPoint);
+  const allPoints = [...points, ...comparisonPoints];
+
+  const [xMin, xMax] = extent(allPoints, (p) => p.x);
+  const xDomain = [scaleType === 'log' ? Math.max(1, xMin) : xMin, xMax];
+  const yDomain = [axisBaseline(scaleType, min(allPoints, (p) => p.y)), max(allPoints, (p) => p.y) * 1.1];
+
+  const { xDomain: zoomedXDomain, yDomain: zoomedYDomain, zoomRef, resetZoom, zoomBy, panBy, xRange, yRange } =
+    useZoomPan({
+      width,
+      height,
+      margin,
+      xDomain,
+      yDomain,
+      maxZoom: 12,
+      zoomState,
+      zoomKey: 'sharesToSubs',
+      xScaleType: scaleType,
+      yScaleType: scaleType,
+    });
 
-  const xScale = scaleLinear()
+  const xScale = AXIS_SCALES[scaleType]
+    .create()
     .domain(zoomedXDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
-  const yScale = scaleLinear()
+  const yScale = AXIS_SCALES[scaleType]
+    .create()
     .domain(zoomedYDomain)
     .range(yRange ?? [height - margin.bottom, margin.top]);
 
-  const regression = calculateRegression(points);
-  const regressionLine = [
-    { x: zoomedXDomain[0], y: regression.slope * zoomedXDomain[0] + regression.intercept },
-    { x: zoomedXDomain[1], y: regression.slope * zoomedXDomain[1] + regression.intercept },
-  ];
+  const xOf = (point) => xScale(axisValue(scaleType, point.x));
+  const yOf = (point) => yScale(axisValue(scaleType, point.y));
+  const { brushExtent, selectionHandlers } = useChartSelection({
+    plotBounds: [
+      [margin.left, margin.top],
+      [width - margin.right, height - margin.bottom],
+    ],
+    brushMode: 'xy',
+    hitTest: (position) => nearestByXY(points, xOf, yOf, position)?.episode ?? null,
+    brushTest: (brush) => withinRect(points, xOf, yOf, brush).map((point) => point.episode),
+    onSelect,
+  });
+  const { focusedItem, announcement, keyboardProps } = useChartKeyboard({
+    items: [...points].sort((a, b) => a.x - b.x),
+    verticalOrder: [...points].sort((a, b) => a.y - b.y),
+    describe: describePoint,
+    onActivate: (point, mode) => onSelect([point.episode], mode),
+    zoom: { zoomBy, panBy, resetZoom },
+  });
+  const hasSelection = selection.size > 0;
+  const colorByTopic = colorBy === 'topic';
+  const topicColors = new Map(topics.map((topic) => [topic.id, topic.color]));
+  const presentTopics = new Set(points.map((point) => point.topic));
+
+  // Theil–Sen is quadratic in the number of episodes, so only refit when the points or the fit change.
+  const { regression, residuals } = useMemo(() => {
+    const fit = fitRegression(points, fitKey);
+    return { regression: fit, residuals: residualsOf(points, fit) };
+  }, [points, fitKey]);
 
   const topShare = points.reduce((maxPoint, point) =>
     point.x > maxPoint.x ? point : maxPoint
   );
 
-  const xTicks = xScale.ticks(5);
-  const yTicks = yScale.ticks(5);
+  const xTicks = axisTicks(xScale, scaleType, ticks.x);
+  const yTicks = axisTicks(yScale, scaleType, ticks.y);
 
   return (
     <ChartCard
       title="Social Share Conversion"
       description="Correlate social push energy with subscriber lift to decide where to double down on promotion."
       insight={insight}
+      announcement={announcement}
+      table={{
+        columns: [
+          { key: 'episode', label: 'Episode', numeric: true },
+          { key: 'title', label: 'Title', numeric: false },
+          { key: 'x', label: 'Social shares', numeric: true, format: formatCount },
+          { key: 'y', label: 'Subscribers gained', numeric: true, format: formatCount },
+        ],
+        rows: points
+          .filter((point) => withinDomain(point.x, zoomedXDomain) && withinDomain(point.y, zoomedYDomain))
+          .map((point) => ({ ...point, key: point.episode })),
+      }}
       legend={
         <div className="legend">
+          {colorByTopic ? null : (
+            <>
+              <span className="legend-item">
+                <span className="legend-swatch" style={{ background: themeColor('series-primary') }} /> Episode
+              </span>
+              <span className="legend-item">
+                <span className="legend-swatch" style={{ background: themeColor('highlight', 0.9) }} /> Highest share push
+              </span>
+            </>
+          )}
+          {colorByTopic
+            ? topics
+                .filter((topic) => presentTopics.has(topic.id))
+                .map((topic) => (
+                  <span className="legend-item" key={topic.id}>
+                    <span className="legend-swatch" style={{ background: topic.color }} /> {topic.label}
+                  </span>
+                ))
+            : null}
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: '#38bdf8' }} /> Episode
-          </span>
-          <span className="legend-item">
-            <span className="legend-swatch" style={{ background: 'rgba(250, 204, 21, 0.9)' }} /> Highest share push
+            <span className="legend-swatch" style={{ background: themeColor('series-secondary', 0.8) }} />{' '}
+            {REGRESSION_FITS[fitKey].label}: {regression.equation} (R² = {regression.rSquared.toFixed(2)})
           </span>
+          {regression.band ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-band" /> 95% confidence band
+            </span>
+          ) : null}
+          {comparison ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-comparison" /> {comparison.show}
+            </span>
+          ) : null}
         </div>
       }
+      controls={
+        <>
+          <SegmentedControl label="Fit type" options={fitOptions} value={fitKey} onChange={setFitKey} />
+          <SegmentedControl
+            label="Axis scale"
+            options={AXIS_SCALE_OPTIONS}
+            value={scaleType}
+            onChange={setScaleType}
+          />
+        </>
+      }
     >
-      <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Scatter plot of social shares vs subscribers">
-        {yTicks.map((tick) => (
-          <g key={`y-${tick.toFixed(3)}`}>
-            <line
-              className="grid-line"
-              x1={margin.left}
-              x2={width - margin.right}
-              y1={yScale(tick)}
-              y2={yScale(tick)}
-            />
+      <div className="chart-svg-wrapper" ref={containerRef}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label="Scatter plot of social shares vs subscribers"
+          {...keyboardProps}
+        >
+          {yTicks.map((tick) => (
+            <g key={`y-${tick.toFixed(3)}`}>
+              <line
+                className="grid-line"
+                x1={margin.left}
+                x2={width - margin.right}
+                y1={yScale(tick)}
+                y2={yScale(tick)}
+              />
+              <text
+                x={margin.left - 16}
+                y={yScale(tick) + 4}
+                textAnchor="end"
+                className="axis-label"
+              >
+                {tick.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+              </text>
+            </g>
+          ))}
+          <RegressionOverlay
+            model={regression}
+            xScale={xScale}
+            y={(value) => yScale(axisValue(scaleType, value))}
+          />
+          {comparisonPoints.map((point) => (
+            <circle
+              key={`comparison-${point.episode}`}
+              cx={xOf(point)}
+              cy={yOf(point)}
+              r={4}
+              className="dot-comparison"
+            >
+              <title>{`${comparison.show} · ${describePoint(point)}`}</title>
+            </circle>
+          ))}
+          {points.map((point) => {
+            const isHighlight = point.episode === topShare.episode;
+            const isSelected = selection.has(point.episode);
+            const baseClass = isHighlight ? 'dot-highlight' : 'dot';
+            return (
+              <circle
+                key={point.episode}
+                cx={xOf(point)}
+                cy={yOf(point)}
+                r={isHighlight || isSelected ? 6 : 4}
+                className={isSelected ? 'dot-selected' : `${baseClass}${hasSelection ? ' is-dimmed' : ''}`}
+                style={colorByTopic && !isSelected ? { fill: topicColors.get(point.topic) } : undefined}
+              >
+                <title>{describePoint(point)}</title>
+              </circle>
+            );
+          })}
+          {xTicks.map((tick) => (
             <text
-              x={margin.left - 16}
-              y={yScale(tick) + 4}
-              textAnchor="end"
+              key={`x-${tick.toFixed(3)}`}
+              x={xScale(tick)}
+              y={height - margin.bottom + 30}
+              textAnchor="middle"
               className="axis-label"
             >
               {tick.toLocaleString(undefined, { maximumFractionDigits: 0 })}
             </text>
-          </g>
-        ))}
-        <line
-          x1={xScale(regressionLine[0].x)}
-          x2={xScale(regressionLine[1].x)}
-          y1={yScale(regressionLine[0].y)}
-          y2={yScale(regressionLine[1].y)}
-          className="line-secondary"
-        />
-        {points.map((point) => {
-          const isHighlight = point.episode === topShare.episode;
-          return (
-            <circle
-              key={point.episode}
-              cx={xScale(point.x)}
-              cy={yScale(point.y)}
-              r={isHighlight ? 6 : 4}
-              className={isHighlight ? 'dot-highlight' : 'dot'}
-            >
-              <title>
-                {`Ep ${point.episode}: ${point.title}
-${point.x} shares → ${point.y} subscribers`}
-              </title>
-            </circle>
-          );
-        })}
-        {xTicks.map((tick) => (
+          ))}
           <text
-            key={`x-${tick.toFixed(3)}`}
-            x={xScale(tick)}
-            y={height - margin.bottom + 30}
+            x={width / 2}
+            y={height - 12}
             textAnchor="middle"
             className="axis-label"
           >
-            {tick.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+            Social media shares
           </text>
-        ))}
-        <text
-          x={width / 2}
-          y={height - 12}
-          textAnchor="middle"
-          className="axis-label"
-        >
-          Social media shares
-        </text>
-        <text
-          transform={`translate(${margin.left - 42}, ${height / 2}) rotate(-90)`}
-          textAnchor="middle"
-          className="axis-label"
-        >
-          Subscribers gained
-        </text>
-        <rect
-          ref={zoomRef}
-          x={margin.left}
-          y={margin.top}
-          width={width - margin.left - margin.right}
-          height={height - margin.top - margin.bottom}
-          fill="transparent"
-          className="interaction-layer"
-          onDoubleClick={resetZoom}
-          aria-hidden="true"
-        >
-          <title>Drag to pan, scroll to zoom, double-click to reset</title>
-        </rect>
-      </svg>
+          <text
+            transform={`translate(${margin.left - 42}, ${height / 2}) rotate(-90)`}
+            textAnchor="middle"
+            className="axis-label"
+          >
+            Subscribers gained
+          </text>
+          <FocusMarker item={focusedItem} x={xOf} y={yOf} />
+          <BrushRect extent={brushExtent} />
+          <rect
+            ref={zoomRef}
+            x={margin.left}
+            y={margin.top}
+            width={width - margin.left - margin.right}
+            height={height - margin.top - margin.bottom}
+            fill="transparent"
+            className="interaction-layer"
+            onDoubleClick={resetZoom}
+            {...selectionHandlers}
+            aria-hidden="true"
+          >
+            <title>Drag to pan, scroll to zoom, double-click to reset</title>
+          </rect>
+        </svg>
+      </div>
+      <ResidualsPlot
+        residuals={residuals}
+        x={xOf}
+        width={width}
+        margin={margin}
+        selection={selection}
+        formatResidual={(value) => `${value >= 0 ? '+' : ''}${Math.round(value)} subscribers`}
+        label="Residuals: subscribers gained versus the fit"
+      />
     </ChartCard>
   );
 };
@@ -0,0 +1,32 @@
+const ShowSwitcher = ({ shows, activeShow, compareShow, onActiveShowChange, onCompareShowChange }) => (
+  <div className="show-switcher">
+    <label>
+      <span>Show</span>
+      <select value={activeShow} onChange={(event) => onActiveShowChange(event.target.value)}>
+        {shows.map((show) => (
+          <option key={show} value={show}>
+            {show}
+          </option>
+        ))}
+      </select>
+    </label>
+    <label>
+      <span>Compare with</span>
+      <select
+        value={compareShow ?? ''}
+        onChange={(event) => onCompareShowChange(event.target.value || null)}
+      >
+        <option value="">No comparison</option>
+        {shows
+          .filter((show) => show !== activeShow)
+          .map((show) => (
+            <option key={show} value={show}>
+              {show}
+            </option>
+          ))}
+      </select>
+    </label>
+  </div>
+);
+
+export default ShowSwitcher;
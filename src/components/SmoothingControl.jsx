@@ -0,0 +1,34 @@
+import { SMOOTHERS, SMOOTHING_WINDOW_RANGE } from '../utils/smoothing.js';
+
+const SmoothingControl = ({ value, onChange }) => {
+  const [minWindow, maxWindow] = SMOOTHING_WINDOW_RANGE;
+
+  return (
+    <div className="smoothing-control">
+      <label>
+        Smoothing
+        <select value={value.method} onChange={(event) => onChange({ ...value, method: event.target.value })}>
+          {Object.entries(SMOOTHERS).map(([method, smoother]) => (
+            <option key={method} value={method}>
+              {smoother.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Window
+        <input
+          type="range"
+          min={minWindow}
+          max={maxWindow}
+          step={1}
+          value={value.window}
+          onChange={(event) => onChange({ ...value, window: Number(event.target.value) })}
+        />
+        <output>{value.window}</output>
+      </label>
+    </div>
+  );
+};
+
+export default SmoothingControl;
@@ -2,124 +2,235 @@ import { scaleLinear } from 'd3-scale';
 import { extent, max } from 'd3-array';
 import { area, line, curveMonotoneX } from 'd3-shape';
 import ChartCard from './ChartCard.jsx';
+import SelectionMarkers from './SelectionMarkers.jsx';
+import AnomalyMarkers from './AnomalyMarkers.jsx';
+import ForecastProjection from './ForecastProjection.jsx';
+import BrushRect from './BrushRect.jsx';
+import FocusMarker from './FocusMarker.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { useChartSelection } from '../hooks/useChartSelection.js';
+import { useChartKeyboard } from '../hooks/useChartKeyboard.js';
+import { useChartDimensions } from '../hooks/useChartDimensions.js';
+import { getXAxis } from '../utils/episodeAxis.js';
+import { nearestByX, withinX } from '../utils/chartHitTest.js';
+import { episodeColumns, episodeRows, formatCount } from '../utils/chartTable.js';
+import { anomaliesForMetric } from '../utils/anomalies.js';
+import { FORECAST_BAND_LABEL } from '../utils/forecast.js';
+import { themeColor } from '../utils/themes.js';
 
 const chartDimensions = {
-  width: 640,
-  height: 360,
   margin: { top: 24, right: 24, bottom: 42, left: 60 },
+  compactMargin: { top: 24, right: 12, bottom: 36, left: 48 },
 };
 
-const SubscriberGrowthChart = ({ data, insight }) => {
-  const { width, height, margin } = chartDimensions;
-  const baseXDomain = extent(data, (d) => d.episode);
+const SubscriberGrowthChart = ({
+  data,
+  comparison,
+  xAxisMode,
+  zoomLink,
+  zoomState,
+  selection,
+  onSelect,
+  anomalies = [],
+  anomalyMethod,
+  forecast,
+  insight,
+}) => {
+  const { containerRef, width, height, margin, ticks } = useChartDimensions(chartDimensions);
+  const comparisonData = comparison?.episodes ?? [];
+  const xAxis = getXAxis(xAxisMode);
+  const forecastPoints = (forecast?.points ?? []).filter(xAxis.defined);
+  const baseXDomain = extent([...data, ...comparisonData, ...forecastPoints], xAxis.value);
 
-  const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
+  const { xDomain, zoomRef, resetZoom, zoomBy, panBy, xRange } = useZoomPan({
     width,
     height,
     margin,
     xDomain: baseXDomain,
     maxZoom: 12,
+    zoomState,
+    zoomKey: 'subscriberGrowth',
+    link: zoomLink,
   });
 
-  const xScale = scaleLinear()
+  const xScale = xAxis
+    .createScale()
     .domain(xDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
 
+  const xOf = (d) => xScale(xAxis.value(d));
+  const { brushExtent, selectionHandlers } = useChartSelection({
+    plotBounds: [
+      [margin.left, margin.top],
+      [width - margin.right, height - margin.bottom],
+    ],
+    brushMode: 'x',
+    hitTest: ([px]) => nearestByX(data, xOf, px)?.episode ?? null,
+    brushTest: (brush) => withinX(data, xOf, brush).map((d) => d.episode),
+    onSelect,
+  });
+  const selectedData = data.filter((d) => selection.has(d.episode));
+  const latest = data[data.length - 1];
+
   const yScale = scaleLinear()
-    .domain([0, max(data, (d) => d.cumulativeSubscribers) * 1.05])
+    .domain([
+      0,
+      Math.max(
+        max([...data, ...comparisonData], (d) => d.cumulativeSubscribers),
+        max(forecastPoints, (d) => d.upper) ?? 0
+      ) * 1.05,
+    ])
     .range([height - margin.bottom, margin.top]);
 
   const areaPath = area()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xAxis.value(d)))
     .y0(yScale(0))
     .y1((d) => yScale(d.cumulativeSubscribers))
     .curve(curveMonotoneX);
 
   const linePath = line()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xAxis.value(d)))
     .y((d) => yScale(d.cumulativeSubscribers))
     .curve(curveMonotoneX);
 
-  const xTicks = xScale.ticks(6);
-  const yTicks = yScale.ticks(5);
+  const { focusedItem, announcement, keyboardProps } = useChartKeyboard({
+    items: data,
+    describe: (d) =>
+      `Episode ${d.episode}: ${d.cumulativeSubscribers.toLocaleString()} total subscribers (${
+        d.subscribersGained >= 0 ? '+' : ''
+      }${d.subscribersGained.toLocaleString()} this episode).`,
+    onActivate: (d, mode) => onSelect([d.episode], mode),
+    zoom: { zoomBy, panBy, resetZoom },
+  });
+
+  const xTicks = xScale.ticks(ticks.x);
+  const formatXTick = xAxis.tickFormat(xScale);
+  const yTicks = yScale.ticks(ticks.y);
 
   return (
     <ChartCard
       title="Subscriber Trajectory"
       description="Cumulative subscriber growth shows which seasons or campaigns produced inflection points and where momentum slowed."
-      insight={insight}
+      insight={forecast ? `${insight} ${forecast.insight}` : insight}
+      announcement={announcement}
+      table={{
+        columns: [
+          ...episodeColumns(xAxisMode),
+          { key: 'cumulativeSubscribers', label: 'Total subscribers', numeric: true, format: formatCount },
+          { key: 'subscribersGained', label: 'Gained this episode', numeric: true, format: formatCount },
+        ],
+        rows: episodeRows(data, xAxis, xDomain, (d) => ({
+          cumulativeSubscribers: d.cumulativeSubscribers,
+          subscribersGained: d.subscribersGained,
+        })),
+      }}
       legend={
         <div className="legend">
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: 'rgba(56, 189, 248, 0.3)' }} /> Total subscribers
+            <span className="legend-swatch" style={{ background: themeColor('series-primary', 0.3) }} /> Total subscribers
           </span>
+          {forecast ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-forecast" /> Forecast ({FORECAST_BAND_LABEL})
+            </span>
+          ) : null}
+          {comparison ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-comparison" /> {comparison.show}
+            </span>
+          ) : null}
         </div>
       }
     >
-      <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Cumulative subscribers over time">
-        <defs>
-          <linearGradient id="subsFill" x1="0" x2="0" y1="0" y2="1">
-            <stop offset="0%" stopColor="rgba(129, 140, 248, 0.5)" />
-            <stop offset="100%" stopColor="rgba(129, 140, 248, 0)" />
-          </linearGradient>
-        </defs>
-        {yTicks.map((tick) => (
-          <line
-            key={`y-${tick}`}
-            className="grid-line"
-            x1={margin.left}
-            x2={width - margin.right}
-            y1={yScale(tick)}
-            y2={yScale(tick)}
+      <div className="chart-svg-wrapper" ref={containerRef}>
+        <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Cumulative subscribers over time" {...keyboardProps}>
+          <defs>
+            <linearGradient id="subsFill" x1="0" x2="0" y1="0" y2="1">
+              <stop offset="0%" style={{ stopColor: themeColor('series-secondary', 0.5) }} />
+              <stop offset="100%" style={{ stopColor: themeColor('series-secondary', 0) }} />
+            </linearGradient>
+          </defs>
+          {yTicks.map((tick) => (
+            <line
+              key={`y-${tick}`}
+              className="grid-line"
+              x1={margin.left}
+              x2={width - margin.right}
+              y1={yScale(tick)}
+              y2={yScale(tick)}
+            />
+          ))}
+          <path d={areaPath(data)} fill="url(#subsFill)" />
+          <path d={linePath(data)} className="line-secondary" />
+          {comparison ? <path d={linePath(comparisonData)} className="line-comparison" /> : null}
+          <ForecastProjection
+            points={forecastPoints}
+            origin={{ ...latest, value: latest.cumulativeSubscribers }}
+            x={xOf}
+            y={yScale}
           />
-        ))}
-        <path d={areaPath(data)} fill="url(#subsFill)" />
-        <path d={linePath(data)} className="line-secondary" />
-        {xTicks.map((tick) => (
+          {xTicks.map((tick) => (
+            <text
+              key={`x-${+tick}`}
+              x={xScale(tick)}
+              y={height - margin.bottom + 28}
+              textAnchor="middle"
+              className="axis-label"
+            >
+              {formatXTick(tick)}
+            </text>
+          ))}
           <text
-            key={`x-${tick.toFixed(3)}`}
-            x={xScale(tick)}
-            y={height - margin.bottom + 28}
-            textAnchor="middle"
+            x={margin.left}
+            y={margin.top - 10}
+            textAnchor="start"
             className="axis-label"
           >
-            Ep {Math.round(tick)}
+            Total subscribers
           </text>
-        ))}
-        <text
-          x={margin.left}
-          y={margin.top - 10}
-          textAnchor="start"
-          className="axis-label"
-        >
-          Total subscribers
-        </text>
-        {yTicks.map((tick) => (
-          <text
-            key={`ylab-${tick}`}
-            x={margin.left - 12}
-            y={yScale(tick) + 4}
-            textAnchor="end"
-            className="axis-label"
+          {yTicks.map((tick) => (
+            <text
+              key={`ylab-${tick}`}
+              x={margin.left - 12}
+              y={yScale(tick) + 4}
+              textAnchor="end"
+              className="axis-label"
+            >
+              {Math.round(tick).toLocaleString()}
+            </text>
+          ))}
+          <AnomalyMarkers
+            anomalies={anomaliesForMetric(anomalies, 'subscribers')}
+            data={data}
+            method={anomalyMethod}
+            x={xOf}
+            y={(d) => yScale(d.cumulativeSubscribers)}
+          />
+          <SelectionMarkers
+            items={selectedData}
+            x={xOf}
+            y={(d) => yScale(d.cumulativeSubscribers)}
+            top={margin.top}
+            bottom={height - margin.bottom}
+          />
+          <FocusMarker item={focusedItem} x={xOf} y={(d) => yScale(d.cumulativeSubscribers)} />
+          <BrushRect extent={brushExtent} />
+          <rect
+            ref={zoomRef}
+            x={margin.left}
+            y={margin.top}
+            width={width - margin.left - margin.right}
+            height={height - margin.top - margin.bottom}
+            fill="transparent"
+            className="interaction-layer"
+            onDoubleClick={resetZoom}
+            {...selectionHandlers}
+            aria-hidden="true"
           >
-            {Math.round(tick).toLocaleString()}
-          </text>
-        ))}
-        <rect
-          ref={zoomRef}
-          x={margin.left}
-          y={margin.top}
-          width={width - margin.left - margin.right}
-          height={height - margin.top - margin.bottom}
-          fill="transparent"
-          className="interaction-layer"
-          onDoubleClick={resetZoom}
-          aria-hidden="true"
-        >
-          <title>Drag to pan, scroll to zoom, double-click to reset</title>
-        </rect>
-      </svg>
+            <title>Drag to pan, scroll to zoom, double-click to reset</title>
+          </rect>
+        </svg>
+      </div>
     </ChartCard>
   );
 };
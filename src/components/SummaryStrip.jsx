@@ -0,0 +1,27 @@
+import { SUMMARY_METRICS } from '../utils/summaryMetrics.js';
+
+const SummaryStrip = ({ summaries }) => {
+  const isComparing = summaries.length > 1;
+
+  return (
+    <div className={`summary-strip${isComparing ? ' is-comparing' : ''}`} aria-label="Key podcast metrics">
+      {SUMMARY_METRICS.map((metric) => (
+        <div className="summary-item" key={metric.label}>
+          <strong>{metric.label}</strong>
+          {isComparing ? (
+            summaries.map(({ show, summary }, idx) => (
+              <span key={show} className={`summary-value summary-value-${idx === 0 ? 'primary' : 'comparison'}`}>
+                <small>{show}</small>
+                {metric.format(summary)}
+              </span>
+            ))
+          ) : (
+            <span>{metric.format(summaries[0].summary)}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SummaryStrip;
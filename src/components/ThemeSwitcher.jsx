@@ -0,0 +1,18 @@
+import { THEMES } from '../utils/themes.js';
+
+const ThemeSwitcher = ({ value, onChange }) => (
+  <div className="smoothing-control theme-switcher">
+    <label>
+      Theme
+      <select value={value} onChange={(event) => onChange(event.target.value)}>
+        {Object.entries(THEMES).map(([theme, { label }]) => (
+          <option key={theme} value={theme}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  </div>
+);
+
+export default ThemeSwitcher;
@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { scaleBand, scaleLinear } from 'd3-scale';
+import { max } from 'd3-array';
+import ChartCard from './ChartCard.jsx';
+import SegmentedControl from './SegmentedControl.jsx';
+import { useChartKeyboard } from '../hooks/useChartKeyboard.js';
+import { useChartDimensions } from '../hooks/useChartDimensions.js';
+import { formatCount, formatPercent } from '../utils/chartTable.js';
+import { summarizeTopics } from '../utils/topics.js';
+
+const chartDimensions = {
+  margin: { top: 24, right: 72, bottom: 42, left: 140 },
+  compactMargin: { top: 16, right: 52, bottom: 42, left: 108 },
+  tickSpacing: { x: 80 },
+};
+
+const TOPIC_METRICS = {
+  downloads: {
+    label: 'Downloads',
+    axisLabel: 'Average downloads per episode',
+    value: (group) => group.averageDownloads,
+    format: (value) => Math.round(value).toLocaleString(),
+  },
+  completion: {
+    label: 'Completion',
+    axisLabel: 'Average completion rate',
+    value: (group) => group.averageCompletionRate,
+    format: (value) => `${(value * 100).toFixed(1)}%`,
+  },
+  conversion: {
+    label: 'Sub conversion',
+    axisLabel: 'Subscribers gained per 1k downloads',
+    value: (group) => group.subscribersPerThousandDownloads,
+    format: (value) => value.toFixed(1),
+  },
+};
+
+const metricOptions = Object.entries(TOPIC_METRICS).map(([value, metric]) => ({ value, label: metric.label }));
+
+const describeGroup = (group) =>
+  `${group.label}: ${group.episodeCount} episodes, ${Math.round(group.averageDownloads).toLocaleString()} avg downloads, ${(
+    group.averageCompletionRate * 100
+  ).toFixed(1)}% avg completion, ${group.subscribersPerThousandDownloads.toFixed(1)} subs per 1k downloads`;
+
+const TopicPerformanceChart = ({ data, topics, insight }) => {
+  const { containerRef, width, height, margin, ticks } = useChartDimensions(chartDimensions);
+  const [metricKey, setMetricKey] = useState('downloads');
+  const metric = TOPIC_METRICS[metricKey];
+
+  const groups = summarizeTopics(data, topics).sort((a, b) => metric.value(b) - metric.value(a));
+  // Bars run top to bottom, so the up arrow walks the list backwards.
+  const { focusedItem, announcement, keyboardProps } = useChartKeyboard({
+    items: groups,
+    keyOf: (group) => group.id,
+    verticalOrder: [...groups].reverse(),
+    describe: describeGroup,
+  });
+
+  const yScale = scaleBand()
+    .domain(groups.map((group) => group.id))
+    .range([margin.top, height - margin.bottom])
+    .padding(0.25);
+
+  const xScale = scaleLinear()
+    .domain([0, (max(groups, metric.value) ?? 0) * 1.1 || 1])
+    .range([margin.left, width - margin.right]);
+
+  const xTicks = xScale.ticks(ticks.x);
+
+  return (
+    <ChartCard
+      title="Topic Performance"
+      description="Compare how each theme lands on reach, retention, and subscriber conversion to steer the editorial calendar."
+      insight={insight}
+      announcement={announcement}
+      table={{
+        columns: [
+          { key: 'label', label: 'Topic', numeric: false },
+          { key: 'episodeCount', label: 'Episodes', numeric: true },
+          { key: 'averageDownloads', label: 'Avg downloads', numeric: true, format: formatCount },
+          { key: 'averageCompletionRate', label: 'Avg completion', numeric: true, format: formatPercent },
+          {
+            key: 'subscribersPerThousandDownloads',
+            label: 'Subs per 1k downloads',
+            numeric: true,
+            format: (value) => value.toFixed(1),
+          },
+        ],
+        rows: groups.map((group) => ({ ...group, key: group.id })),
+      }}
+      legend={
+        <div className="legend">
+          {groups.map((group) => (
+            <span className="legend-item" key={group.id}>
+              <span className="legend-swatch" style={{ background: group.color }} /> {group.label}
+            </span>
+          ))}
+        </div>
+      }
+      controls={
+        <SegmentedControl label="Compare topics by" options={metricOptions} value={metricKey} onChange={setMetricKey} />
+      }
+    >
+      <div className="chart-svg-wrapper" ref={containerRef}>
+        <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label={`${metric.axisLabel} by topic`} {...keyboardProps}>
+          {xTicks.map((tick) => (
+            <g key={`x-${tick}`}>
+              <line
+                className="grid-line"
+                x1={xScale(tick)}
+                x2={xScale(tick)}
+                y1={margin.top}
+                y2={height - margin.bottom}
+              />
+              <text x={xScale(tick)} y={height - margin.bottom + 20} textAnchor="middle" className="axis-label">
+                {metric.format(tick)}
+              </text>
+            </g>
+          ))}
+          {groups.map((group) => (
+            <g key={group.id}>
+              <rect
+                x={xScale(0)}
+                y={yScale(group.id)}
+                width={xScale(metric.value(group)) - xScale(0)}
+                height={yScale.bandwidth()}
+                rx={4}
+                className={group.id === focusedItem?.id ? 'is-focused' : undefined}
+                style={{ fill: group.color }}
+              >
+                <title>{describeGroup(group)}</title>
+              </rect>
+              <text
+                x={margin.left - 12}
+                y={yScale(group.id) + yScale.bandwidth() / 2 + 4}
+                textAnchor="end"
+                className="axis-label"
+              >
+                {group.label} ({group.episodeCount})
+              </text>
+              <text
+                x={xScale(metric.value(group)) + 8}
+                y={yScale(group.id) + yScale.bandwidth() / 2 + 4}
+                textAnchor="start"
+                className="axis-label"
+              >
+                {metric.format(metric.value(group))}
+              </text>
+            </g>
+          ))}
+          <text x={(margin.left + width - margin.right) / 2} y={height - 8} textAnchor="middle" className="axis-label">
+            {metric.axisLabel}
+          </text>
+        </svg>
+      </div>
+    </ChartCard>
+  );
+};
+
+export default TopicPerformanceChart;
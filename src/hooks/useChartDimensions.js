@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from 'react';
+
+const DEFAULT_WIDTH = 640;
+const COMPACT_WIDTH = 480;
+
+const clamp = (value, lower, upper) => Math.min(upper, Math.max(lower, value));
+
+// Sizes a chart to the element its svg fills, so one viewBox unit is one CSS pixel and axis labels keep their
+// stylesheet size. Narrow containers switch to `compactMargin`; tick counts follow the plot's real size.
+export const useChartDimensions = ({
+  margin,
+  compactMargin = margin,
+  aspectRatio = 9 / 16,
+  minHeight = 240,
+  maxHeight = 420,
+  tickSpacing = {},
+}) => {
+  const containerRef = useRef(null);
+  const [containerWidth, setContainerWidth] = useState(DEFAULT_WIDTH);
+
+  useEffect(() => {
+    const node = containerRef.current;
+    if (!node || typeof ResizeObserver === 'undefined') {
+      return;
+    }
+    const observer = new ResizeObserver(([entry]) => {
+      // A hidden chart (behind the table view) measures zero; keep the last real size for when it comes back.
+      const measured = Math.round(entry.contentRect.width);
+      if (measured > 0) {
+        setContainerWidth(measured);
+      }
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, []);
+
+  const isCompact = containerWidth < COMPACT_WIDTH;
+  const width = containerWidth;
+  const height = Math.round(clamp(width * aspectRatio, minHeight, maxHeight));
+  const activeMargin = isCompact ? compactMargin : margin;
+  const spacing = { x: 90, y: 55, ...tickSpacing };
+
+  return {
+    containerRef,
+    width,
+    height,
+    margin: activeMargin,
+    isCompact,
+    ticks: {
+      x: clamp(Math.floor((width - activeMargin.left - activeMargin.right) / spacing.x), 2, 12),
+      y: clamp(Math.floor((height - activeMargin.top - activeMargin.bottom) / spacing.y), 3, 8),
+    },
+  };
+};
@@ -0,0 +1,86 @@
+import { useState } from 'react';
+
+const ZOOM_STEP = 1.5;
+const PAN_STEP = 40;
+
+// Arrow keys walk `items` (left/right) or `verticalOrder` (up/down); Shift+arrows pan, Alt+up/down and +/- zoom,
+// Escape resets. Whatever gains focus is described into `announcement` for an aria-live region.
+export const useChartKeyboard = ({
+  items,
+  keyOf = (d) => d.episode,
+  verticalOrder = null,
+  describe,
+  onActivate = null,
+  zoom = null,
+}) => {
+  const [focusedKey, setFocusedKey] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const focusedItem = focusedKey === null ? null : items.find((d) => keyOf(d) === focusedKey) ?? null;
+
+  const focusItem = (item) => {
+    if (!item) {
+      return;
+    }
+    setFocusedKey(keyOf(item));
+    setAnnouncement(describe(item));
+  };
+
+  const step = (order, delta) => {
+    if (!order.length) {
+      return;
+    }
+    const idx = focusedItem ? order.findIndex((d) => keyOf(d) === focusedKey) : -1;
+    const next = idx === -1 ? (delta > 0 ? 0 : order.length - 1) : Math.min(order.length - 1, Math.max(0, idx + delta));
+    focusItem(order[next]);
+  };
+
+  const zoomBy = (factor) => {
+    zoom.zoomBy(factor);
+    setAnnouncement(factor > 1 ? 'Zoomed in' : 'Zoomed out');
+  };
+
+  const panBy = (dx, dy) => {
+    zoom.panBy(dx, dy);
+    setAnnouncement('Panned');
+  };
+
+  const onKeyDown = (event) => {
+    const { key, shiftKey, altKey } = event;
+    const isArrow = key.startsWith('Arrow');
+
+    if (zoom && isArrow && shiftKey) {
+      const [dx, dy] = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[key];
+      panBy(dx * PAN_STEP, dy * PAN_STEP);
+    } else if (zoom && altKey && (key === 'ArrowUp' || key === 'ArrowDown')) {
+      zoomBy(key === 'ArrowUp' ? ZOOM_STEP : 1 / ZOOM_STEP);
+    } else if (zoom && (key === '+' || key === '=')) {
+      zoomBy(ZOOM_STEP);
+    } else if (zoom && (key === '-' || key === '_')) {
+      zoomBy(1 / ZOOM_STEP);
+    } else if (key === 'ArrowRight' || key === 'ArrowLeft') {
+      step(items, key === 'ArrowRight' ? 1 : -1);
+    } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+      step(verticalOrder ?? items, key === 'ArrowUp' ? 1 : -1);
+    } else if (key === 'Home' || key === 'End') {
+      focusItem(key === 'Home' ? items[0] : items[items.length - 1]);
+    } else if ((key === 'Enter' || key === ' ') && onActivate && focusedItem) {
+      onActivate(focusedItem, shiftKey ? 'toggle' : 'replace');
+    } else if (key === 'Escape' && zoom) {
+      zoom.resetZoom();
+      setAnnouncement('Zoom reset');
+    } else {
+      return;
+    }
+    event.preventDefault();
+  };
+
+  return {
+    focusedItem,
+    announcement,
+    keyboardProps: {
+      tabIndex: 0,
+      onKeyDown,
+      onBlur: () => setFocusedKey(null),
+    },
+  };
+};
@@ -0,0 +1,91 @@
+import { useRef, useState } from 'react';
+import { pointer } from 'd3-selection';
+
+const BRUSH_THRESHOLD = 4;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Click selects the nearest episode, shift-click toggles it, and shift-drag brushes a range ('x') or a
+// rectangle ('xy') that is added to the selection. Plain drags are left to useZoomPan.
+export const useChartSelection = ({ plotBounds, brushMode = 'x', hitTest, brushTest, onSelect }) => {
+  const [brushExtent, setBrushExtent] = useState(null);
+  const originRef = useRef(null);
+  const suppressClickRef = useRef(false);
+
+  const toExtent = (origin, current) => {
+    const [[left, top], [right, bottom]] = plotBounds;
+    const x0 = clamp(Math.min(origin[0], current[0]), left, right);
+    const x1 = clamp(Math.max(origin[0], current[0]), left, right);
+    if (brushMode === 'x') {
+      return [
+        [x0, top],
+        [x1, bottom],
+      ];
+    }
+    return [
+      [x0, clamp(Math.min(origin[1], current[1]), top, bottom)],
+      [x1, clamp(Math.max(origin[1], current[1]), top, bottom)],
+    ];
+  };
+
+  const hasMoved = (origin, current) =>
+    Math.hypot(current[0] - origin[0], current[1] - origin[1]) >= BRUSH_THRESHOLD;
+
+  const onPointerDown = (event) => {
+    if (!onSelect || !event.shiftKey || event.button !== 0) {
+      return;
+    }
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    originRef.current = pointer(event.nativeEvent, event.currentTarget);
+  };
+
+  const onPointerMove = (event) => {
+    const origin = originRef.current;
+    if (!origin) {
+      return;
+    }
+    const current = pointer(event.nativeEvent, event.currentTarget);
+    if (hasMoved(origin, current)) {
+      setBrushExtent(toExtent(origin, current));
+    }
+  };
+
+  const onPointerUp = (event) => {
+    const origin = originRef.current;
+    if (!origin) {
+      return;
+    }
+    originRef.current = null;
+    setBrushExtent(null);
+
+    const current = pointer(event.nativeEvent, event.currentTarget);
+    if (hasMoved(origin, current)) {
+      suppressClickRef.current = true;
+      onSelect(brushTest(toExtent(origin, current)), 'add');
+    }
+  };
+
+  const onPointerCancel = () => {
+    originRef.current = null;
+    setBrushExtent(null);
+  };
+
+  const onClick = (event) => {
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+    if (!onSelect) {
+      return;
+    }
+    const hit = hitTest(pointer(event.nativeEvent, event.currentTarget));
+    if (hit !== null) {
+      onSelect([hit], event.shiftKey ? 'toggle' : 'replace');
+    }
+  };
+
+  return {
+    brushExtent,
+    selectionHandlers: { onPointerDown, onPointerMove, onPointerUp, onPointerCancel, onClick },
+  };
+};
@@ -0,0 +1,26 @@
+import { useCallback, useState } from 'react';
+import { EMPTY_FILTERS, countActiveFilters } from '../utils/episodeFilters.js';
+
+export const useEpisodeFilters = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const updateFilter = useCallback((key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  }, []);
+
+  const clearFilters = useCallback(() => {
+    setFilters(EMPTY_FILTERS);
+  }, []);
+
+  const replaceFilters = useCallback((next) => {
+    setFilters({ ...EMPTY_FILTERS, ...next });
+  }, []);
+
+  return {
+    filters,
+    updateFilter,
+    clearFilters,
+    replaceFilters,
+    activeFilterCount: countActiveFilters(filters),
+  };
+};
@@ -0,0 +1,29 @@
+import { useCallback, useState } from 'react';
+
+export const useEpisodeSelection = () => {
+  const [selectedEpisodes, setSelectedEpisodes] = useState(() => new Set());
+
+  // mode is 'replace' (plain click), 'toggle' (shift-click) or 'add' (shift-drag brush).
+  const updateSelection = useCallback((episodes, mode = 'replace') => {
+    setSelectedEpisodes((prev) => {
+      if (mode === 'replace') {
+        return new Set(episodes);
+      }
+      const next = new Set(prev);
+      episodes.forEach((episode) => {
+        if (mode === 'toggle' && next.has(episode)) {
+          next.delete(episode);
+        } else {
+          next.add(episode);
+        }
+      });
+      return next;
+    });
+  }, []);
+
+  const clearSelection = useCallback(() => {
+    setSelectedEpisodes(new Set());
+  }, []);
+
+  return { selectedEpisodes, updateSelection, clearSelection };
+};
@@ -1,11 +1,32 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
 import { csv } from 'd3-fetch';
+import { csvParse } from 'd3-dsv';
+import {
+  findMissingColumns,
+  parseDuration,
+  parsePublishDate,
+  validateDataset,
+  validateSources,
+} from '../utils/validateDataset.js';
+import { EMPTY_FILTERS, applyFilters } from '../utils/episodeFilters.js';
+import { parseGuests } from '../utils/guests.js';
+import { DEFAULT_SMOOTHING, smoothSeries } from '../utils/smoothing.js';
+import { TOPIC_RULES, createTopicTagger, topicList } from '../utils/topics.js';
+import { correlationTest } from '../utils/statistics.js';
+import { INSIGHT_RULES } from '../utils/insightRules.js';
+import { insightsByChart, runInsightRules } from '../utils/insightEngine.js';
 
 const DATA_URL = '/podcast-metrics.csv';
+const DEMO_DATASET_NAME = 'Demo catalog';
+const EMPTY_DASHBOARD = {
+  episodes: [],
+  summary: null,
+  insights: {},
+  findings: [],
+};
 
-const parseRow = (row) => {
-  const [hours, minutes, seconds] = row.duration.split(':').map(Number);
-  const durationMinutes = hours * 60 + minutes + seconds / 60;
+const parseRow = (row, tagTopics) => {
+  const durationMinutes = parseDuration(row.duration);
   const downloads = Number(row.downloads);
   const completionNumbers = Number(row.completion_numbers);
   const newListeners = Number(row.new_listeners);
@@ -13,10 +34,13 @@ const parseRow = (row) => {
   const listenersTotal = newListeners + returningListeners;
 
   return {
+    show: row.show,
     episode: Number(row.episode),
     title: row.title,
-    description: row.description,
-    guest: row.guest,
+    description: row.description ?? '',
+    guest: row.guest ?? '',
+    guests: parseGuests(row.guest),
+    publishDate: parsePublishDate(row.publish_date),
     durationMinutes,
     downloads,
     completionNumbers,
@@ -26,39 +50,160 @@ const parseRow = (row) => {
     listenersTotal,
     subscribersGained: Number(row.subscribers_gained),
     socialMediaShares: Number(row.social_media_shares),
+    ...tagTopics({ title: row.title ?? '', description: row.description ?? '' }),
   };
 };
 
-const averageInWindow = (series, index, accessor, window = 7) => {
-  const start = Math.max(0, index - (window - 1));
-  const slice = series.slice(start, index + 1);
-  const total = slice.reduce((sum, item) => sum + accessor(item), 0);
-  return total / slice.length;
+const readDatasetFile = async (file) => {
+  const text = await file.text();
+  const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+
+  if (!isJson) {
+    return csvParse(text);
+  }
+
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed?.episodes;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON files must contain an array of episode rows or an object with an "episodes" array.');
+  }
+  return rows;
+};
+
+const showNameFromFile = (fileName) => fileName.replace(/\.(csv|json)$/i, '');
+
+// Rows without their own `show` value belong to the show named after the file they came from.
+const tagShow = (source) =>
+  source.rows.map((row) => ({ ...row, show: String(row.show ?? '').trim() || source.show }));
+
+const checkColumns = (rows) => {
+  const missingColumns = findMissingColumns(rows);
+  if (missingColumns.length) {
+    throw new Error(`Missing required column${missingColumns.length === 1 ? '' : 's'}: ${missingColumns.join(', ')}.`);
+  }
+  if (!rows.length) {
+    throw new Error('No episode rows found.');
+  }
 };
 
-const correlation = (series, xAccessor, yAccessor) => {
-  const xs = series.map(xAccessor);
-  const ys = series.map(yAccessor);
-  const n = xs.length;
-  if (!n) return 0;
-  const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
-  const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
-  const numerator = xs.reduce((sum, x, idx) => sum + (x - meanX) * (ys[idx] - meanY), 0);
-  const variance = (values, mean) => values.reduce((sum, v) => sum + (v - mean) ** 2, 0);
-  const denominator = Math.sqrt(variance(xs, meanX) * variance(ys, meanY));
-  return denominator === 0 ? 0 : numerator / denominator;
+const testCorrelation = (series, xAccessor, yAccessor) => correlationTest(series.map(xAccessor), series.map(yAccessor));
+
+const buildDashboard = (raw, topics, insightRules) => {
+  if (!raw.length) {
+    return EMPTY_DASHBOARD;
+  }
+
+  let cumulativeSubscribers = 0;
+  let cumulativeDownloads = 0;
+  const downloadsSmoothed = smoothSeries(raw.map((d) => d.downloads), DEFAULT_SMOOTHING);
+  const completionSmoothed = smoothSeries(raw.map((d) => d.completionRate), DEFAULT_SMOOTHING);
+  const subscribersSmoothed = smoothSeries(raw.map((d) => d.subscribersGained), DEFAULT_SMOOTHING);
+  const episodes = raw.map((item, idx) => {
+    cumulativeSubscribers += item.subscribersGained;
+    cumulativeDownloads += item.downloads;
+    const downloadsRolling = downloadsSmoothed[idx];
+    const completionRolling = completionSmoothed[idx];
+    const subscribersRolling = subscribersSmoothed[idx];
+    const newListenerRatio = item.listenersTotal === 0 ? 0 : item.newListeners / item.listenersTotal;
+
+    return {
+      ...item,
+      cumulativeSubscribers,
+      cumulativeDownloads,
+      downloadsRolling,
+      completionRolling,
+      subscribersRolling,
+      newListenerRatio,
+      subscribersPerThousandDownloads:
+        item.downloads === 0 ? 0 : (item.subscribersGained / item.downloads) * 1000,
+      sharesPerThousandDownloads:
+        item.downloads === 0 ? 0 : (item.socialMediaShares / item.downloads) * 1000,
+    };
+  });
+
+  const halfwayIndex = Math.floor(episodes.length / 2);
+  const earlySlice = episodes.slice(0, halfwayIndex);
+  const lateSlice = episodes.slice(halfwayIndex);
+  const arrAverage = (arr, accessor) =>
+    arr.length ? arr.reduce((sum, item) => sum + accessor(item), 0) / arr.length : 0;
+
+  const averageDownloadsEarly = arrAverage(earlySlice, (d) => d.downloads);
+  const averageDownloadsLate = arrAverage(lateSlice, (d) => d.downloads);
+  const avgCompletionEarly = arrAverage(earlySlice, (d) => d.completionRate);
+  const avgCompletionLate = arrAverage(lateSlice, (d) => d.completionRate);
+  const avgNewListenerRatioEarly = arrAverage(earlySlice, (d) => d.newListenerRatio);
+  const avgNewListenerRatioLate = arrAverage(lateSlice, (d) => d.newListenerRatio);
+
+  const sharesSubscribersTest = testCorrelation(
+    episodes,
+    (d) => d.socialMediaShares,
+    (d) => d.subscribersGained
+  );
+
+  const durationCompletionTest = testCorrelation(
+    episodes,
+    (d) => d.durationMinutes,
+    (d) => d.completionRate
+  );
+
+  const sharesSubscribersCorrelation = sharesSubscribersTest.r;
+  const durationCompletionCorrelation = durationCompletionTest.r;
+
+  const summary = {
+    totalEpisodes: episodes.length,
+    averageDownloads: arrAverage(episodes, (d) => d.downloads),
+    averageCompletionRate: arrAverage(episodes, (d) => d.completionRate),
+    averageDuration: arrAverage(episodes, (d) => d.durationMinutes),
+    totalSubscribers: cumulativeSubscribers,
+    downloadsGrowthPercent:
+      averageDownloadsEarly === 0
+        ? 0
+        : ((averageDownloadsLate - averageDownloadsEarly) / averageDownloadsEarly) * 100,
+    completionRateChange:
+      (avgCompletionLate - avgCompletionEarly) * 100, // percentage points
+    newListenerShareChange:
+      (avgNewListenerRatioLate - avgNewListenerRatioEarly) * 100,
+    sharesSubscribersCorrelation,
+    sharesSubscribersPValue: sharesSubscribersTest.pValue,
+    durationCompletionCorrelation,
+    durationCompletionPValue: durationCompletionTest.pValue,
+    latestEpisode: episodes[episodes.length - 1],
+    hasPublishDates: episodes.every((d) => d.publishDate),
+  };
+
+  const findings = runInsightRules(insightRules, { episodes, summary, topics });
+
+  return { episodes, summary, insights: insightsByChart(findings), findings };
 };
 
-export const usePodcastData = () => {
-  const [raw, setRaw] = useState([]);
+const describeCatalog = (rows) => ({
+  episodeCount: rows.length,
+  episodeExtent: [rows[0]?.episode ?? 0, rows[rows.length - 1]?.episode ?? 0],
+  durationExtent: rows.length
+    ? [Math.min(...rows.map((d) => d.durationMinutes)), Math.max(...rows.map((d) => d.durationMinutes))]
+    : [0, 0],
+  guests: [...new Set(rows.flatMap((d) => d.guests))].sort(),
+});
+
+export const usePodcastData = ({
+  filters = EMPTY_FILTERS,
+  topicRules = TOPIC_RULES,
+  insightRules = INSIGHT_RULES,
+} = {}) => {
+  const [sources, setSources] = useState([]);
+  const [excludeSuspicious, setExcludeSuspicious] = useState(false);
+  const [activeShow, setActiveShow] = useState(null);
+  const [compareShow, setCompareShow] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  useEffect(() => {
-    csv(DATA_URL, parseRow)
+  const loadDemoDataset = useCallback(() => {
+    setLoading(true);
+    return csv(DATA_URL)
       .then((rows) => {
-        const sorted = rows.sort((a, b) => a.episode - b.episode);
-        setRaw(sorted);
+        checkColumns(rows);
+        setSources([{ name: DEMO_DATASET_NAME, show: DEMO_DATASET_NAME, rows }]);
+        setError(null);
         setLoading(false);
       })
       .catch((err) => {
@@ -67,108 +212,86 @@ export const usePodcastData = () => {
       });
   }, []);
 
-  const memoized = useMemo(() => {
-    if (!raw.length) {
-      return {
-        episodes: [],
-        summary: null,
-        insights: {},
-      };
-    }
-
-    let cumulativeSubscribers = 0;
-    let cumulativeDownloads = 0;
-    const episodes = raw.map((item, idx) => {
-      cumulativeSubscribers += item.subscribersGained;
-      cumulativeDownloads += item.downloads;
-      const downloadsRolling = averageInWindow(raw, idx, (d) => d.downloads, 7);
-      const completionRolling = averageInWindow(raw, idx, (d) => d.completionRate, 7);
-      const newListenerRatio = item.listenersTotal === 0 ? 0 : item.newListeners / item.listenersTotal;
-
-      return {
-        ...item,
-        cumulativeSubscribers,
-        cumulativeDownloads,
-        downloadsRolling,
-        completionRolling,
-        newListenerRatio,
-        subscribersPerThousandDownloads:
-          item.downloads === 0 ? 0 : (item.subscribersGained / item.downloads) * 1000,
-        sharesPerThousandDownloads:
-          item.downloads === 0 ? 0 : (item.socialMediaShares / item.downloads) * 1000,
-      };
-    });
+  useEffect(() => {
+    loadDemoDataset();
+  }, [loadDemoDataset]);
 
-    const halfwayIndex = Math.floor(episodes.length / 2);
-    const earlySlice = episodes.slice(0, halfwayIndex);
-    const lateSlice = episodes.slice(halfwayIndex);
-    const arrAverage = (arr, accessor) => arr.reduce((sum, item) => sum + accessor(item), 0) / arr.length;
-
-    const averageDownloadsEarly = arrAverage(earlySlice, (d) => d.downloads);
-    const averageDownloadsLate = arrAverage(lateSlice, (d) => d.downloads);
-    const avgCompletionEarly = arrAverage(earlySlice, (d) => d.completionRate);
-    const avgCompletionLate = arrAverage(lateSlice, (d) => d.completionRate);
-    const avgNewListenerRatioEarly = arrAverage(earlySlice, (d) => d.newListenerRatio);
-    const avgNewListenerRatioLate = arrAverage(lateSlice, (d) => d.newListenerRatio);
-
-    const sharesSubscribersCorrelation = correlation(
-      episodes,
-      (d) => d.socialMediaShares,
-      (d) => d.subscribersGained
+  const importDatasetFiles = useCallback(async (files, { append = false } = {}) => {
+    const imported = await Promise.all(
+      files.map(async (file) => {
+        const rows = await readDatasetFile(file);
+        checkColumns(rows);
+        if (validateDataset(rows).entries.every((entry) => entry.status === 'rejected')) {
+          throw new Error(`None of the rows in ${file.name} passed validation.`);
+        }
+        return { name: file.name, show: showNameFromFile(file.name), rows };
+      })
     );
+    const importedNames = new Set(imported.map((item) => item.name));
+    setSources((prev) => [...(append ? prev.filter((item) => !importedNames.has(item.name)) : []), ...imported]);
+    setError(null);
+  }, []);
 
-    const durationCompletionCorrelation = correlation(
-      episodes,
-      (d) => d.durationMinutes,
-      (d) => d.completionRate
-    );
+  const dataQuality = useMemo(
+    () => validateSources(sources.map((item) => ({ file: item.name, rows: tagShow(item) }))),
+    [sources]
+  );
 
-    const summary = {
-      totalEpisodes: episodes.length,
-      averageDownloads: arrAverage(episodes, (d) => d.downloads),
-      averageCompletionRate: arrAverage(episodes, (d) => d.completionRate),
-      averageDuration: arrAverage(episodes, (d) => d.durationMinutes),
-      totalSubscribers: cumulativeSubscribers,
-      downloadsGrowthPercent:
-        averageDownloadsEarly === 0
-          ? 0
-          : ((averageDownloadsLate - averageDownloadsEarly) / averageDownloadsEarly) * 100,
-      completionRateChange:
-        (avgCompletionLate - avgCompletionEarly) * 100, // percentage points
-      newListenerShareChange:
-        (avgNewListenerRatioLate - avgNewListenerRatioEarly) * 100,
-      sharesSubscribersCorrelation,
-      durationCompletionCorrelation,
-      latestEpisode: episodes[episodes.length - 1],
-    };
+  const topics = useMemo(() => topicList(topicRules), [topicRules]);
+  const tagTopics = useMemo(() => createTopicTagger(topicRules), [topicRules]);
 
-    const formatPercent = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
-
-    const insights = {
-      downloads: `Recent episodes are averaging ${formatPercent(
-        summary.downloadsGrowthPercent,
-        1
-      )} downloads versus the earliest half of the catalog.`,
-      completion: `Completion rate moved ${formatPercent(summary.completionRateChange, 1)} from early episodes to the latest half.`,
-      listenerMix: `New listeners make up ${formatPercent(summary.newListenerShareChange, 1)} more of the audience in newer episodes.`,
-      subscriberGrowth: `Total subscribers climbed to ${summary.totalSubscribers.toLocaleString()} with the latest release.`,
-      sharesToSubs:
-        sharesSubscribersCorrelation >= 0
-          ? `Social sharing strongly correlates with subscriber gains (r = ${sharesSubscribersCorrelation.toFixed(2)}).`
-          : `Higher social sharing currently coincides with fewer subscribers (r = ${sharesSubscribersCorrelation.toFixed(2)}).`,
-      duration:
-        durationCompletionCorrelation >= 0
-          ? `Longer episodes trend toward stronger completion rates (r = ${durationCompletionCorrelation.toFixed(2)}).`
-          : `Longer episodes trend toward lower completion (r = ${durationCompletionCorrelation.toFixed(2)}); consider testing shorter cuts.`,
-    };
+  const rowsByShow = useMemo(() => {
+    const accepted = dataQuality.entries
+      .filter((entry) => entry.status === 'ok' || (entry.status === 'suspicious' && !excludeSuspicious))
+      .map((entry) => parseRow(entry.row, tagTopics));
+
+    const byShow = new Map();
+    accepted.forEach((row) => {
+      if (!byShow.has(row.show)) {
+        byShow.set(row.show, []);
+      }
+      byShow.get(row.show).push(row);
+    });
+    byShow.forEach((rows) => rows.sort((a, b) => a.episode - b.episode));
+    return byShow;
+  }, [dataQuality, excludeSuspicious, tagTopics]);
+
+  const dashboards = useMemo(
+    () =>
+      new Map(
+        [...rowsByShow].map(([show, rows]) => [show, buildDashboard(applyFilters(rows, filters), topics, insightRules)])
+      ),
+    [rowsByShow, filters, topics, insightRules]
+  );
 
-    return { episodes, summary, insights };
-  }, [raw]);
+  const shows = [...rowsByShow.keys()];
+  const currentShow = shows.includes(activeShow) ? activeShow : shows[0] ?? null;
+  const currentCompareShow = compareShow !== currentShow && shows.includes(compareShow) ? compareShow : null;
+  const active = dashboards.get(currentShow) ?? EMPTY_DASHBOARD;
+  const comparisonDashboard = dashboards.get(currentCompareShow);
+  const comparison = comparisonDashboard?.summary ? { show: currentCompareShow, ...comparisonDashboard } : null;
+  const catalog = useMemo(() => describeCatalog(rowsByShow.get(currentShow) ?? []), [rowsByShow, currentShow]);
 
   return {
-    episodes: memoized.episodes,
-    summary: memoized.summary,
-    insights: memoized.insights,
+    episodes: active.episodes,
+    summary: active.summary,
+    insights: active.insights,
+    findings: active.findings,
+    catalog,
+    topics,
+    shows,
+    activeShow: currentShow,
+    setActiveShow,
+    compareShow: currentCompareShow,
+    setCompareShow,
+    comparison,
+    datasetName: sources.map((item) => item.name).join(', '),
+    isDemoDataset: sources.length === 1 && sources[0].name === DEMO_DATASET_NAME,
+    dataQuality,
+    excludeSuspicious,
+    setExcludeSuspicious,
+    importDatasetFiles,
+    loadDemoDataset,
     loading,
     error,
   };
@@ -0,0 +1,52 @@
+import { useEffect, useLayoutEffect, useState } from 'react';
+import { DEFAULT_THEME, THEMES, resolveTheme } from '../utils/themes.js';
+
+const STORAGE_KEY = 'podcast-dashboard-theme';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const readStoredTheme = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return THEMES[stored] ? stored : DEFAULT_THEME;
+  } catch {
+    // Storage can be blocked (private windows, strict cookie settings); fall back to following the system.
+    return DEFAULT_THEME;
+  }
+};
+
+const prefersDark = () => window.matchMedia?.(DARK_QUERY).matches ?? true;
+
+// The chosen preset ('system' follows prefers-color-scheme) is remembered across visits and applied as
+// data-theme on <html>, where index.css swaps the colour tokens.
+export const useTheme = () => {
+  const [theme, setThemeState] = useState(readStoredTheme);
+  const [isSystemDark, setIsSystemDark] = useState(prefersDark);
+
+  useEffect(() => {
+    const query = window.matchMedia?.(DARK_QUERY);
+    if (!query) {
+      return;
+    }
+    const update = (event) => setIsSystemDark(event.matches);
+    query.addEventListener('change', update);
+    return () => query.removeEventListener('change', update);
+  }, []);
+
+  const resolvedTheme = resolveTheme(theme, isSystemDark);
+
+  // Before paint, so switching (or the first render) never flashes the previous palette.
+  useLayoutEffect(() => {
+    document.documentElement.dataset.theme = resolvedTheme;
+  }, [resolvedTheme]);
+
+  const setTheme = (next) => {
+    setThemeState(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+      // Not remembered, but still applied for this visit.
+    }
+  };
+
+  return { theme, resolvedTheme, setTheme };
+};
@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+import { parseViewState } from '../utils/urlState.js';
+
+// Changes closer together than this (typing in a filter, a burst of linked zooms) share one history entry.
+const HISTORY_COALESCE_MS = 800;
+
+const currentSearch = () => window.location.search.replace(/^\?/, '');
+
+// Mirrors the serialized dashboard state into the query string and hands URL state back on load and on
+// back/forward. `search` is the serialized current state; writes wait until `enabled` (data is loaded).
+export const useUrlState = ({ search, enabled = true, onRestore }) => {
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+  const restoringRef = useRef(true);
+  const lastWriteRef = useRef(0);
+
+  useEffect(() => {
+    const restore = () => {
+      restoringRef.current = true;
+      onRestoreRef.current(parseViewState(window.location.search));
+    };
+
+    restore();
+    window.addEventListener('popstate', restore);
+    return () => window.removeEventListener('popstate', restore);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+    if (search === currentSearch()) {
+      restoringRef.current = false;
+      return;
+    }
+
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    const now = Date.now();
+    // A restored state that normalises differently (an unknown show, say) replaces the entry it came from.
+    if (restoringRef.current || now - lastWriteRef.current < HISTORY_COALESCE_MS) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    restoringRef.current = false;
+    lastWriteRef.current = now;
+  }, [enabled, search]);
+};
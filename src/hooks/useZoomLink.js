@@ -0,0 +1,14 @@
+import { useCallback, useMemo, useState } from 'react';
+
+// Shared x-window for charts that opt in to linked zooming. Each update records which chart produced it
+// so that chart doesn't re-apply its own gesture; an update with a null xDomain resets the whole group.
+export const useZoomLink = () => {
+  const [enabled, setEnabled] = useState(false);
+  const [update, setUpdate] = useState(null);
+
+  const publish = useCallback((source, xDomain) => {
+    setUpdate({ source, xDomain });
+  }, []);
+
+  return useMemo(() => ({ enabled, setEnabled, update, publish }), [enabled, update, publish]);
+};
@@ -1,7 +1,7 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { scaleLinear } from 'd3-scale';
 import { select } from 'd3-selection';
-import { zoom as d3Zoom, zoomIdentity } from 'd3-zoom';
+import { zoom as d3Zoom, zoomIdentity, zoomTransform } from 'd3-zoom';
+import { AXIS_SCALES } from '../utils/axisScales.js';
 
 const DOMAIN_EPSILON = 1e-6;
 
@@ -54,6 +54,43 @@ const clampDomain = (candidate, base) => {
   return ascending ? [candMin, candMax] : [candMax, candMin];
 };
 
+// Clamps in pixel space so a pan against the edge of a log or sqrt axis keeps its zoom level.
+const clampToScale = (candidate, baseScale) => {
+  if (!candidate) {
+    return candidate;
+  }
+  return clampDomain(candidate.map(baseScale), baseScale.range()).map(baseScale.invert);
+};
+
+const baseScaleFor = (type, domain, range) => (domain ? AXIS_SCALES[type].create().domain(domain).range(range) : null);
+
+const isIdentity = (transform) => transform.k === 1 && transform.x === 0 && transform.y === 0;
+
+// Inverse of rescaleX/rescaleY: the transform that shows `entry`'s domains over the base scales.
+const transformForDomains = (entry, baseXScale, baseYScale, ranges, maxZoom) => {
+  const axes = [
+    entry.xDomain && baseXScale ? { scale: baseXScale, domain: entry.xDomain, range: ranges.xRange } : null,
+    entry.yDomain && baseYScale ? { scale: baseYScale, domain: entry.yDomain, range: ranges.yRange } : null,
+  ];
+  const reference = axes.find(Boolean);
+  if (!reference) {
+    return zoomIdentity;
+  }
+
+  const k = Math.min(
+    maxZoom,
+    Math.max(
+      1,
+      (reference.range[1] - reference.range[0]) /
+        (reference.scale(reference.domain[1]) - reference.scale(reference.domain[0]))
+    )
+  );
+  const [xAxis, yAxis] = axes;
+  const tx = xAxis ? xAxis.range[0] - k * xAxis.scale(xAxis.domain[0]) : 0;
+  const ty = yAxis ? yAxis.range[0] - k * yAxis.scale(yAxis.domain[0]) : 0;
+  return zoomIdentity.translate(tx, ty).scale(k);
+};
+
 export const useZoomPan = ({
   width,
   height,
@@ -61,9 +98,19 @@ export const useZoomPan = ({
   xDomain: initialXDomain,
   yDomain: initialYDomain,
   maxZoom = 10,
+  link = null,
+  zoomState = null,
+  zoomKey = null,
+  xScaleType = 'linear',
+  yScaleType = 'linear',
 }) => {
   const overlayRef = useRef(null);
   const zoomBehaviorRef = useRef(null);
+  const linkSourceRef = useRef(Symbol('zoom-link-source'));
+  const linkRef = useRef(link);
+  linkRef.current = link;
+  const zoomStateRef = useRef(zoomState);
+  zoomStateRef.current = zoomState;
   const [domains, setDomains] = useState(() => ({
     xDomain: initialXDomain ?? null,
     yDomain: initialYDomain ?? null,
@@ -77,20 +124,51 @@ export const useZoomPan = ({
     [height, margin.bottom, margin.left, margin.right, margin.top, initialXDomain, initialYDomain, width],
   );
 
+  // Saved entries remember the base domains they were taken against, so a zoom recorded before the data
+  // changed underneath (new filters, another axis) isn't replayed onto a different range.
+  const recordZoom = useCallback(
+    (transform) => {
+      const currentState = zoomStateRef.current;
+      if (!currentState || !zoomKey) {
+        return;
+      }
+      const baseXScale = baseScaleFor(xScaleType, initialXDomain, ranges.xRange);
+      const baseYScale = baseScaleFor(yScaleType, initialYDomain, ranges.yRange);
+      const xDomain = baseXScale ? clampToScale(transform.rescaleX(baseXScale).domain(), baseXScale) : null;
+      const yDomain = baseYScale ? clampToScale(transform.rescaleY(baseYScale).domain(), baseYScale) : null;
+      if (domainsEqual(xDomain, initialXDomain ?? null) && domainsEqual(yDomain, initialYDomain ?? null)) {
+        currentState.record(zoomKey, null);
+        return;
+      }
+      currentState.record(zoomKey, {
+        xDomain,
+        yDomain,
+        base: { xDomain: initialXDomain ?? null, yDomain: initialYDomain ?? null },
+      });
+    },
+    [initialXDomain, initialYDomain, ranges, xScaleType, yScaleType, zoomKey]
+  );
+  const recordZoomRef = useRef(recordZoom);
+  recordZoomRef.current = recordZoom;
+
   useEffect(() => {
+    // Reset the transform first: the previous zoom behavior still emits against the old base domain,
+    // so the fresh domains have to be queued after its update.
+    if (overlayRef.current && zoomBehaviorRef.current) {
+      select(overlayRef.current).call(zoomBehaviorRef.current.transform, zoomIdentity);
+    }
+
     setDomains({
       xDomain: initialXDomain ?? null,
       yDomain: initialYDomain ?? null,
     });
-
-    if (overlayRef.current && zoomBehaviorRef.current) {
-      select(overlayRef.current).call(zoomBehaviorRef.current.transform, zoomIdentity);
-    }
   }, [
     initialXDomain ? initialXDomain[0] : null,
     initialXDomain ? initialXDomain[1] : null,
     initialYDomain ? initialYDomain[0] : null,
     initialYDomain ? initialYDomain[1] : null,
+    xScaleType,
+    yScaleType,
   ]);
 
   useEffect(() => {
@@ -98,10 +176,15 @@ export const useZoomPan = ({
       return;
     }
 
-    const baseXScale = initialXDomain ? scaleLinear().domain(initialXDomain).range(ranges.xRange) : null;
-    const baseYScale = initialYDomain ? scaleLinear().domain(initialYDomain).range(ranges.yRange) : null;
+    const baseXScale = baseScaleFor(xScaleType, initialXDomain, ranges.xRange);
+    const baseYScale = baseScaleFor(yScaleType, initialYDomain, ranges.yRange);
 
     const zoomBehavior = d3Zoom()
+      // Same as d3's default filter, except shift-drag is left free for brushing selections.
+      .filter(
+        (event) =>
+          (!event.ctrlKey || event.type === 'wheel') && !event.button && !(event.shiftKey && event.type !== 'wheel')
+      )
       .scaleExtent([1, maxZoom])
       .translateExtent([
         [margin.left, margin.top],
@@ -115,19 +198,33 @@ export const useZoomPan = ({
         setDomains((prev) => {
           let nextDomain = prev;
           if (baseXScale) {
-            const candidate = clampDomain(event.transform.rescaleX(baseXScale).domain(), initialXDomain);
+            const candidate = clampToScale(event.transform.rescaleX(baseXScale).domain(), baseXScale);
             if (!domainsEqual(prev.xDomain, candidate)) {
               nextDomain = { ...nextDomain, xDomain: candidate };
             }
           }
           if (baseYScale) {
-            const candidate = clampDomain(event.transform.rescaleY(baseYScale).domain(), initialYDomain);
+            const candidate = clampToScale(event.transform.rescaleY(baseYScale).domain(), baseYScale);
             if (!domainsEqual(prev.yDomain, candidate)) {
               nextDomain = { ...nextDomain, yDomain: candidate };
             }
           }
           return nextDomain;
         });
+
+        // Only user gestures are shared; transforms applied from a linked update have no source event.
+        const currentLink = linkRef.current;
+        if (currentLink?.enabled && baseXScale && event.sourceEvent) {
+          currentLink.publish(
+            linkSourceRef.current,
+            clampToScale(event.transform.rescaleX(baseXScale).domain(), baseXScale)
+          );
+        }
+      })
+      .on('end', (event) => {
+        if (event.sourceEvent) {
+          recordZoomRef.current(event.transform);
+        }
       });
 
     zoomBehaviorRef.current = zoomBehavior;
@@ -155,9 +252,106 @@ export const useZoomPan = ({
     ranges.yRange ? ranges.yRange[0] : null,
     ranges.yRange ? ranges.yRange[1] : null,
     width,
+    xScaleType,
+    yScaleType,
+  ]);
+
+  const linkUpdate = link?.enabled ? link.update : null;
+
+  useEffect(() => {
+    if (!linkUpdate || linkUpdate.source === linkSourceRef.current) {
+      return;
+    }
+    if (!overlayRef.current || !zoomBehaviorRef.current || !initialXDomain) {
+      return;
+    }
+
+    const selection = select(overlayRef.current);
+    if (!linkUpdate.xDomain) {
+      selection.transition().duration(200).call(zoomBehaviorRef.current.transform, zoomIdentity);
+      recordZoomRef.current(zoomIdentity);
+      return;
+    }
+
+    const baseXScale = baseScaleFor(xScaleType, initialXDomain, ranges.xRange);
+    const current = zoomTransform(overlayRef.current).rescaleX(baseXScale).domain();
+    const target = clampToScale(linkUpdate.xDomain, baseXScale);
+    if (domainsEqual(current, target)) {
+      return;
+    }
+
+    const [rangeStart, rangeEnd] = ranges.xRange;
+    const k = (rangeEnd - rangeStart) / (baseXScale(target[1]) - baseXScale(target[0]));
+    const transform = zoomIdentity.translate(rangeStart - k * baseXScale(target[0]), 0).scale(k);
+    selection.call(zoomBehaviorRef.current.transform, transform);
+    recordZoomRef.current(transform);
+  }, [linkUpdate]);
+
+  const savedZoom = zoomState && zoomKey ? zoomState.domains[zoomKey] ?? null : null;
+
+  useEffect(() => {
+    if (!overlayRef.current || !zoomBehaviorRef.current) {
+      return;
+    }
+
+    const selection = select(overlayRef.current);
+    const current = zoomTransform(overlayRef.current);
+    if (!savedZoom) {
+      if (!isIdentity(current)) {
+        selection.transition().duration(200).call(zoomBehaviorRef.current.transform, zoomIdentity);
+      }
+      return;
+    }
+
+    const { base } = savedZoom;
+    const isStale =
+      base &&
+      !(domainsEqual(base.xDomain, initialXDomain ?? null) && domainsEqual(base.yDomain, initialYDomain ?? null));
+    if (isStale) {
+      zoomStateRef.current.record(zoomKey, null);
+      return;
+    }
+
+    const baseXScale = baseScaleFor(xScaleType, initialXDomain, ranges.xRange);
+    const baseYScale = baseScaleFor(yScaleType, initialYDomain, ranges.yRange);
+    const target = transformForDomains(
+      {
+        xDomain: savedZoom.xDomain && baseXScale ? clampToScale(savedZoom.xDomain, baseXScale) : null,
+        yDomain: savedZoom.yDomain && baseYScale ? clampToScale(savedZoom.yDomain, baseYScale) : null,
+      },
+      baseXScale,
+      baseYScale,
+      ranges,
+      maxZoom
+    );
+    if (target.k !== current.k || target.x !== current.x || target.y !== current.y) {
+      selection.call(zoomBehaviorRef.current.transform, target);
+    }
+    // Entries restored from a URL carry no base yet; stamp them so later data changes can tell they're stale.
+    if (!base) {
+      recordZoomRef.current(target);
+    }
+    // The ranges are here because a resized chart needs a new transform to keep showing the same domains.
+  }, [
+    savedZoom,
+    initialXDomain ? initialXDomain[0] : null,
+    initialXDomain ? initialXDomain[1] : null,
+    initialYDomain ? initialYDomain[0] : null,
+    initialYDomain ? initialYDomain[1] : null,
+    ranges.xRange ? ranges.xRange[0] : null,
+    ranges.xRange ? ranges.xRange[1] : null,
+    ranges.yRange ? ranges.yRange[0] : null,
+    ranges.yRange ? ranges.yRange[1] : null,
+    xScaleType,
+    yScaleType,
   ]);
 
   const resetZoom = useCallback(() => {
+    if (linkRef.current?.enabled) {
+      linkRef.current.publish(linkSourceRef.current, null);
+    }
+    recordZoomRef.current(zoomIdentity);
+
     setDomains({
       xDomain: initialXDomain ?? null,
       yDomain: initialYDomain ?? null,
@@ -171,11 +365,48 @@ export const useZoomPan = ({
     }
   }, [initialXDomain, initialYDomain]);
 
+  // Keyboard zoom and pan go through the same behavior as gestures, so linking and saved zoom still follow.
+  const transformBy = useCallback(
+    (update) => {
+      if (!overlayRef.current || !zoomBehaviorRef.current) {
+        return;
+      }
+      update(zoomBehaviorRef.current, select(overlayRef.current));
+      const transform = zoomTransform(overlayRef.current);
+      const baseXScale = baseScaleFor(xScaleType, initialXDomain, ranges.xRange);
+      if (linkRef.current?.enabled && baseXScale) {
+        linkRef.current.publish(
+          linkSourceRef.current,
+          clampToScale(transform.rescaleX(baseXScale).domain(), baseXScale)
+        );
+      }
+      recordZoomRef.current(transform);
+    },
+    [initialXDomain, ranges, xScaleType]
+  );
+
+  const zoomBy = useCallback(
+    (factor) => transformBy((behavior, selection) => behavior.scaleBy(selection, factor)),
+    [transformBy]
+  );
+
+  // Offsets are in screen pixels; translateBy works in the zoomed space, hence the division by k.
+  const panBy = useCallback(
+    (dx, dy) =>
+      transformBy((behavior, selection) => {
+        const { k } = zoomTransform(selection.node());
+        behavior.translateBy(selection, -dx / k, -dy / k);
+      }),
+    [transformBy]
+  );
+
   return {
     xDomain: domains.xDomain ?? initialXDomain,
     yDomain: domains.yDomain ?? initialYDomain,
     zoomRef: overlayRef,
     resetZoom,
+    zoomBy,
+    panBy,
     xRange: ranges.xRange,
     yRange: ranges.yRange,
   };
@@ -0,0 +1,33 @@
+import { useCallback, useMemo, useState } from 'react';
+
+const sameDomain = (a, b) => (a && b ? a[0] === b[0] && a[1] === b[1] : a === b);
+
+const sameEntry = (a, b) =>
+  a && b
+    ? sameDomain(a.xDomain, b.xDomain) &&
+      sameDomain(a.yDomain, b.yDomain) &&
+      sameDomain(a.base?.xDomain, b.base?.xDomain) &&
+      sameDomain(a.base?.yDomain, b.base?.yDomain)
+    : a === b;
+
+// Zoomed domains per chart, keyed by the `zoomKey` each chart passes to useZoomPan, so the view can be
+// written to and restored from the URL. A missing key means the chart is at its default view.
+export const useZoomState = () => {
+  const [domains, setDomains] = useState({});
+
+  const record = useCallback((key, entry) => {
+    setDomains((prev) => {
+      if (sameEntry(prev[key] ?? null, entry)) {
+        return prev;
+      }
+      const { [key]: _previous, ...rest } = prev;
+      return entry ? { ...rest, [key]: entry } : rest;
+    });
+  }, []);
+
+  const replace = useCallback((next) => {
+    setDomains(next);
+  }, []);
+
+  return useMemo(() => ({ domains, record, replace }), [domains, record, replace]);
+};
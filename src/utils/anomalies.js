@@ -0,0 +1,95 @@
+import { mean, median } from 'd3-array';
+
+// Each episode is compared against the average of the episodes just before it. The window is fixed, so flags don't
+// move with the smoothing picked for the trend charts, and the episode itself never pulls its own baseline.
+const BASELINE_WINDOW = 7;
+
+export const ANOMALY_METRICS = {
+  downloads: {
+    label: 'Downloads',
+    value: (d) => d.downloads,
+    format: (value) => Math.round(value).toLocaleString(),
+  },
+  completion: {
+    label: 'Completion rate',
+    value: (d) => d.completionRate,
+    format: (value) => `${(value * 100).toFixed(1)}%`,
+  },
+  subscribers: {
+    label: 'Subscribers gained',
+    value: (d) => d.subscribersGained,
+    format: (value) => Math.round(value).toLocaleString(),
+  },
+};
+
+export const ANOMALY_METHODS = {
+  zscore: { label: 'Z-score', scoreLabel: 'z', threshold: 2.5 },
+  mad: { label: 'Median/MAD', scoreLabel: 'robust z', threshold: 3.5 },
+};
+
+export const DEFAULT_ANOMALY_METHOD = 'zscore';
+
+// 0.6745 rescales MAD so robust scores read like standard deviations under a normal distribution.
+const MAD_SCALE = 0.6745;
+// Spreads below this are floating-point noise from averaging a flat series, not variation worth scoring.
+const MIN_SPREAD = 1e-9;
+
+const scoreResiduals = (residuals, method) => {
+  if (method === 'mad') {
+    const center = median(residuals);
+    const mad = median(residuals, (r) => Math.abs(r - center));
+    return residuals.map((r) => (mad < MIN_SPREAD ? 0 : (MAD_SCALE * (r - center)) / mad));
+  }
+  const center = mean(residuals);
+  const sd = Math.sqrt(mean(residuals, (r) => (r - center) ** 2));
+  return residuals.map((r) => (sd < MIN_SPREAD ? 0 : (r - center) / sd));
+};
+
+export const detectAnomalies = (episodes, method = DEFAULT_ANOMALY_METHOD) => {
+  if (episodes.length < 3) {
+    return [];
+  }
+  const { threshold } = ANOMALY_METHODS[method] ?? ANOMALY_METHODS[DEFAULT_ANOMALY_METHOD];
+
+  return Object.entries(ANOMALY_METRICS)
+    .flatMap(([metricKey, metric]) => {
+      const values = episodes.map(metric.value);
+      // The first episode has nothing before it to compare against, so scoring starts from the second.
+      const scored = episodes.slice(1).map((d, idx) => {
+        const baseline = mean(values.slice(Math.max(0, idx + 1 - BASELINE_WINDOW), idx + 1));
+        return { d, value: values[idx + 1], baseline, residual: values[idx + 1] - baseline };
+      });
+      // Scored relative to the baseline, so a growing show's bigger absolute swings don't dominate later episodes.
+      const scores = scoreResiduals(
+        scored.map(({ baseline, residual }) => (baseline === 0 ? 0 : residual / baseline)),
+        method
+      );
+      return scored
+        .map(({ d, value, baseline, residual }, idx) => ({
+          episode: d.episode,
+          title: d.title,
+          metric: metricKey,
+          value,
+          baseline,
+          deviation: residual,
+          percentDeviation: baseline === 0 ? null : (residual / baseline) * 100,
+          score: scores[idx],
+          direction: residual >= 0 ? 'above' : 'below',
+        }))
+        .filter((anomaly) => Math.abs(anomaly.score) >= threshold);
+    })
+    .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+};
+
+export const anomaliesForMetric = (anomalies, metric) => anomalies.filter((anomaly) => anomaly.metric === metric);
+
+export const describeAnomaly = (anomaly, method = DEFAULT_ANOMALY_METHOD) => {
+  const metric = ANOMALY_METRICS[anomaly.metric];
+  const { scoreLabel } = ANOMALY_METHODS[method] ?? ANOMALY_METHODS[DEFAULT_ANOMALY_METHOD];
+  const percent =
+    anomaly.percentDeviation === null
+      ? ''
+      : `${anomaly.percentDeviation >= 0 ? '+' : ''}${anomaly.percentDeviation.toFixed(1)}%, `;
+  const comparison = `${metric.format(anomaly.value)} vs ${metric.format(anomaly.baseline)} baseline`;
+  return `${metric.label} ${comparison} (${percent}${scoreLabel} = ${anomaly.score.toFixed(1)})`;
+};
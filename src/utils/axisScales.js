@@ -0,0 +1,24 @@
+import { scaleLinear, scaleLog, scaleSqrt } from 'd3-scale';
+
+// `floor` is the smallest value each scale can place; log axes can't reach zero, so values below 1 sit on 1.
+export const AXIS_SCALES = {
+  linear: { label: 'Linear', create: scaleLinear, floor: -Infinity },
+  sqrt: { label: 'Sqrt', create: scaleSqrt, floor: 0 },
+  log: { label: 'Log', create: scaleLog, floor: 1 },
+};
+
+export const AXIS_SCALE_OPTIONS = Object.entries(AXIS_SCALES).map(([value, scale]) => ({ value, label: scale.label }));
+
+export const axisValue = (type, value) => Math.max(AXIS_SCALES[type].floor, value);
+
+// Linear and sqrt axes start at zero; a log axis starts a little under the smallest value it has to show.
+export const axisBaseline = (type, smallest) => (type === 'log' ? Math.max(1, smallest * 0.8) : 0);
+
+// Log scales return every 1–9 subdivision per decade; keep only the ones d3 would label.
+export const axisTicks = (scale, type, count) => {
+  if (type !== 'log') {
+    return scale.ticks(count);
+  }
+  const format = scale.tickFormat(count);
+  return scale.ticks(count).filter((tick) => format(tick) !== '');
+};
@@ -0,0 +1,40 @@
+// All positions are in SVG viewBox units, matching what the chart scales return.
+
+export const nearestByX = (items, xOf, px, maxDistance = 12) => {
+  let closest = null;
+  let closestDistance = maxDistance;
+  items.forEach((item) => {
+    const distance = Math.abs(xOf(item) - px);
+    if (distance <= closestDistance) {
+      closest = item;
+      closestDistance = distance;
+    }
+  });
+  return closest;
+};
+
+export const nearestByXY = (items, xOf, yOf, [px, py], maxDistance = 14) => {
+  let closest = null;
+  let closestDistance = maxDistance;
+  items.forEach((item) => {
+    const distance = Math.hypot(xOf(item) - px, yOf(item) - py);
+    if (distance <= closestDistance) {
+      closest = item;
+      closestDistance = distance;
+    }
+  });
+  return closest;
+};
+
+export const withinX = (items, xOf, [[x0], [x1]]) =>
+  items.filter((item) => {
+    const x = xOf(item);
+    return x >= x0 && x <= x1;
+  });
+
+export const withinRect = (items, xOf, yOf, [[x0, y0], [x1, y1]]) =>
+  items.filter((item) => {
+    const x = xOf(item);
+    const y = yOf(item);
+    return x >= x0 && x <= x1 && y >= y0 && y <= y1;
+  });
@@ -0,0 +1,21 @@
+// Shared pieces for the "Show as table" view, so each chart only describes its own series.
+
+export const formatCount = (value) => Math.round(value).toLocaleString();
+export const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+export const withinDomain = (value, [start, end]) => value >= Math.min(start, end) && value <= Math.max(start, end);
+
+export const episodeColumns = (xAxisMode) => [
+  { key: 'episode', label: 'Episode', numeric: true },
+  ...(xAxisMode === 'date'
+    ? [{ key: 'publishDate', label: 'Published', numeric: true, format: (date) => date.toLocaleDateString() }]
+    : []),
+];
+
+// One row per episode inside the current zoom window; `values` adds the chart's own series for that episode.
+export const episodeRows = (data, xAxis, xDomain, values) =>
+  data.flatMap((d, idx) =>
+    withinDomain(xAxis.value(d), xDomain)
+      ? [{ key: d.episode, episode: d.episode, publishDate: d.publishDate, ...values(d, idx) }]
+      : []
+  );
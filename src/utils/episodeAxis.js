@@ -0,0 +1,23 @@
+import { scaleLinear, scaleTime } from 'd3-scale';
+
+// Time-series charts share one x encoding: episode number by default, or the publish date when the dataset has one.
+// Both read as plain numbers so useZoomPan can zoom either one with the same linear math. `defined` says whether a
+// point can be placed at all: projected episodes have no date when there is no release gap to extend.
+export const X_AXIS_MODES = {
+  episode: {
+    label: 'Episode number',
+    value: (d) => d.episode,
+    defined: () => true,
+    createScale: () => scaleLinear(),
+    tickFormat: () => (tick) => `Ep ${Math.round(tick)}`,
+  },
+  date: {
+    label: 'Publish date',
+    value: (d) => d.publishDate.getTime(),
+    defined: (d) => Boolean(d.publishDate),
+    createScale: () => scaleTime(),
+    tickFormat: (scale) => scale.tickFormat(),
+  },
+};
+
+export const getXAxis = (mode) => X_AXIS_MODES[mode] ?? X_AXIS_MODES.episode;
@@ -0,0 +1,29 @@
+export const EMPTY_FILTERS = {
+  episodeMin: null,
+  episodeMax: null,
+  guest: '',
+  keyword: '',
+  durationMin: null,
+  durationMax: null,
+};
+
+const includesText = (value, query) => value.toLowerCase().includes(query.trim().toLowerCase());
+
+const inRange = (value, min, max) => (min === null || value >= min) && (max === null || value <= max);
+
+export const countActiveFilters = (filters) =>
+  [
+    filters.episodeMin !== null || filters.episodeMax !== null,
+    filters.guest.trim() !== '',
+    filters.keyword.trim() !== '',
+    filters.durationMin !== null || filters.durationMax !== null,
+  ].filter(Boolean).length;
+
+export const applyFilters = (episodes, filters) =>
+  episodes.filter(
+    (d) =>
+      inRange(d.episode, filters.episodeMin, filters.episodeMax) &&
+      inRange(d.durationMinutes, filters.durationMin, filters.durationMax) &&
+      includesText(d.guest, filters.guest) &&
+      includesText(d.title, filters.keyword)
+  );
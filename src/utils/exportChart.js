@@ -0,0 +1,237 @@
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties worth copying from the stylesheet onto each exported node.
+const INLINED_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'stroke-linecap',
+  'stroke-linejoin',
+  'stop-color',
+  'stop-opacity',
+  'opacity',
+  'visibility',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'letter-spacing',
+  'text-anchor',
+  'dominant-baseline',
+];
+
+const CAPTION_PADDING = 20;
+const TITLE_SIZE = 18;
+const LEGEND_SIZE = 12;
+const INSIGHT_SIZE = 13;
+const LINE_GAP = 6;
+const CHART_GAP = 12;
+const TRANSPARENT_COLORS = new Set(['transparent', 'rgba(0, 0, 0, 0)']);
+
+// Inline declarations that read theme tokens are dropped: `computed` already holds their resolved values, and
+// var(--color-…) means nothing once the SVG leaves the page.
+const ownStyles = (source) =>
+  (source.getAttribute('style') ?? '')
+    .split(';')
+    .filter((declaration) => declaration.trim() && !declaration.includes('var('))
+    .join(';');
+
+const inlineStyles = (source, clone) => {
+  const computed = window.getComputedStyle(source);
+  const declarations = INLINED_PROPERTIES.map((property) => [property, computed.getPropertyValue(property)]).filter(
+    ([, value]) => value
+  );
+  clone.setAttribute(
+    'style',
+    [declarations.map(([property, value]) => `${property}:${value}`).join(';'), ownStyles(source)]
+      .filter(Boolean)
+      .join(';')
+  );
+  Array.from(source.children).forEach((child, index) => inlineStyles(child, clone.children[index]));
+};
+
+// Rough glyph width for the caption layout; exact metrics aren't available without rendering.
+const estimateTextWidth = (text, fontSize) => text.length * fontSize * 0.55;
+
+const wrapText = (text, maxWidth, fontSize) =>
+  text.split(/\s+/).reduce((lines, word) => {
+    const current = lines[lines.length - 1];
+    if (current && estimateTextWidth(`${current} ${word}`, fontSize) <= maxWidth) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+
+const createNode = (name, attributes = {}, text) => {
+  const node = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+  if (text !== undefined) {
+    node.textContent = text;
+  }
+  return node;
+};
+
+export const readLegend = (card) =>
+  Array.from(card.querySelectorAll('.legend-item')).map((item) => ({
+    label: item.textContent.trim(),
+    color: window.getComputedStyle(item.querySelector('.legend-swatch') ?? item).backgroundColor,
+  }));
+
+// Every top-level chart in the card body (the main plot and any companion such as the residuals plot).
+const readCharts = (card) =>
+  Array.from((card.querySelector('.chart-card-body') ?? card).querySelectorAll('svg[viewBox]'))
+    .filter((svg) => !svg.parentElement.closest('svg'))
+    .map((svg) => {
+      const [, , width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+      const clone = svg.cloneNode(true);
+      inlineStyles(svg, clone);
+      clone.querySelectorAll('.interaction-layer, .brush-selection').forEach((node) => node.remove());
+      return { clone, width, height };
+    });
+
+export const buildChartSvg = (card, { title, insight, includeCaption = true } = {}) => {
+  const charts = readCharts(card);
+  if (!charts.length) {
+    return null;
+  }
+
+  // Charts stack top to bottom, so the document is as wide as the widest one.
+  const width = Math.max(...charts.map((chart) => chart.width));
+  const height = charts.reduce((sum, chart) => sum + chart.height, 0) + CHART_GAP * (charts.length - 1);
+  const textColor = window.getComputedStyle(card.querySelector('h2') ?? card).color;
+  const mutedColor = window.getComputedStyle(card.querySelector('.chart-insight') ?? card).color;
+  const fontFamily = window.getComputedStyle(card).fontFamily;
+
+  const header = [];
+  const footer = [];
+  let headerHeight = 0;
+  let footerHeight = 0;
+
+  if (includeCaption) {
+    headerHeight = CAPTION_PADDING + TITLE_SIZE;
+    header.push(
+      createNode(
+        'text',
+        { x: CAPTION_PADDING, y: headerHeight, fill: textColor, 'font-size': TITLE_SIZE, 'font-weight': 600 },
+        title
+      )
+    );
+
+    let legendX = CAPTION_PADDING;
+    let legendY = headerHeight + LINE_GAP + LEGEND_SIZE + 4;
+    readLegend(card).forEach(({ label, color }) => {
+      const itemWidth = LEGEND_SIZE + 6 + estimateTextWidth(label, LEGEND_SIZE) + 16;
+      if (legendX + itemWidth > width - CAPTION_PADDING && legendX > CAPTION_PADDING) {
+        legendX = CAPTION_PADDING;
+        legendY += LEGEND_SIZE + LINE_GAP;
+      }
+      header.push(
+        createNode('rect', {
+          x: legendX,
+          y: legendY - LEGEND_SIZE + 2,
+          width: LEGEND_SIZE - 2,
+          height: LEGEND_SIZE - 2,
+          rx: 2,
+          fill: color,
+        }),
+        createNode('text', { x: legendX + LEGEND_SIZE + 4, y: legendY, fill: mutedColor, 'font-size': LEGEND_SIZE }, label)
+      );
+      legendX += itemWidth;
+      headerHeight = legendY;
+    });
+    headerHeight += CAPTION_PADDING / 2;
+
+    if (insight) {
+      wrapText(insight, width - CAPTION_PADDING * 2, INSIGHT_SIZE).forEach((line) => {
+        footerHeight += INSIGHT_SIZE + LINE_GAP;
+        footer.push(
+          createNode(
+            'text',
+            {
+              x: CAPTION_PADDING,
+              y: height + headerHeight + footerHeight,
+              fill: mutedColor,
+              'font-size': INSIGHT_SIZE,
+              'font-weight': 600,
+            },
+            line
+          )
+        );
+      });
+      footerHeight += CAPTION_PADDING;
+    }
+  }
+
+  const totalHeight = headerHeight + height + footerHeight;
+  const root = createNode('svg', {
+    width,
+    height: totalHeight,
+    viewBox: `0 0 ${width} ${totalHeight}`,
+    'font-family': fontFamily,
+  });
+  const background = window.getComputedStyle(document.documentElement).backgroundColor;
+  if (background && !TRANSPARENT_COLORS.has(background)) {
+    root.appendChild(createNode('rect', { width, height: totalHeight, fill: background }));
+  }
+  header.forEach((node) => root.appendChild(node));
+
+  let chartY = headerHeight;
+  charts.forEach((chart) => {
+    chart.clone.setAttribute('x', 0);
+    chart.clone.setAttribute('y', chartY);
+    chart.clone.setAttribute('width', chart.width);
+    chart.clone.setAttribute('height', chart.height);
+    root.appendChild(chart.clone);
+    chartY += chart.height + CHART_GAP;
+  });
+  footer.forEach((node) => root.appendChild(node));
+
+  return root;
+};
+
+export const serializeSvg = (svg) =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const svgToPngBlob = (svg, scale = 3) =>
+  new Promise((resolve, reject) => {
+    const width = Number(svg.getAttribute('width'));
+    const height = Number(svg.getAttribute('height'));
+    const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error('The browser could not encode the PNG.'))),
+        'image/png'
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The chart could not be rendered to an image.'));
+    };
+    image.src = url;
+  });
+
+export const toFileName = (title, extension) =>
+  `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart'}.${extension}`;
@@ -0,0 +1,63 @@
+import { csvFormat } from 'd3-dsv';
+import { timeFormat } from 'd3-time-format';
+
+const formatIsoDate = timeFormat('%Y-%m-%d');
+
+// Source columns first, then the metrics usePodcastData derives in memory.
+export const EPISODE_EXPORT_COLUMNS = [
+  { key: 'show', value: (d) => d.show },
+  { key: 'episode', value: (d) => d.episode },
+  { key: 'title', value: (d) => d.title },
+  { key: 'guest', value: (d) => d.guest },
+  { key: 'guests', value: (d) => d.guests.join('; ') },
+  { key: 'publish_date', value: (d) => (d.publishDate ? formatIsoDate(d.publishDate) : '') },
+  { key: 'duration_minutes', value: (d) => d.durationMinutes },
+  { key: 'downloads', value: (d) => d.downloads },
+  { key: 'completion_numbers', value: (d) => d.completionNumbers },
+  { key: 'completion_rate', value: (d) => d.completionRate },
+  { key: 'new_listeners', value: (d) => d.newListeners },
+  { key: 'returning_listeners', value: (d) => d.returningListeners },
+  { key: 'subscribers_gained', value: (d) => d.subscribersGained },
+  { key: 'social_media_shares', value: (d) => d.socialMediaShares },
+  { key: 'primary_topic', value: (d) => d.primaryTopic },
+  { key: 'topics', value: (d) => d.topics.join('; ') },
+  { key: 'cumulative_subscribers', value: (d) => d.cumulativeSubscribers },
+  { key: 'cumulative_downloads', value: (d) => d.cumulativeDownloads },
+  { key: 'downloads_rolling', value: (d) => d.downloadsRolling },
+  { key: 'completion_rolling', value: (d) => d.completionRolling },
+  { key: 'subscribers_rolling', value: (d) => d.subscribersRolling },
+  { key: 'new_listener_ratio', value: (d) => d.newListenerRatio },
+  { key: 'subscribers_per_thousand_downloads', value: (d) => d.subscribersPerThousandDownloads },
+  { key: 'shares_per_thousand_downloads', value: (d) => d.sharesPerThousandDownloads },
+];
+
+export const toExportRows = (episodes) =>
+  episodes.map((d) => Object.fromEntries(EPISODE_EXPORT_COLUMNS.map((column) => [column.key, column.value(d)])));
+
+// `latestEpisode` is a full episode object in memory; exports only need its number.
+export const toExportSummary = (summary) => ({
+  ...summary,
+  latestEpisode: summary.latestEpisode?.episode ?? null,
+});
+
+export const formatEpisodesCsv = (episodes) =>
+  csvFormat(
+    toExportRows(episodes),
+    EPISODE_EXPORT_COLUMNS.map((column) => column.key)
+  );
+
+export const formatSummaryCsv = (summary) =>
+  csvFormat(Object.entries(toExportSummary(summary)).map(([metric, value]) => ({ metric, value })));
+
+export const formatDatasetJson = ({ show, filters, summary, episodes }) =>
+  JSON.stringify(
+    {
+      show,
+      exportedAt: new Date().toISOString(),
+      filters,
+      summary: toExportSummary(summary),
+      episodes: toExportRows(episodes),
+    },
+    null,
+    2
+  );
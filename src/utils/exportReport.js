@@ -0,0 +1,116 @@
+import { buildChartSvg, readLegend } from './exportChart.js';
+import { SUMMARY_METRICS } from './summaryMetrics.js';
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const REPORT_TOKENS = [
+  'background',
+  'surface',
+  'text',
+  'text-strong',
+  'text-muted',
+  'border',
+  'outline',
+  'brand',
+  'series-secondary',
+];
+
+// The report is a standalone page, so it carries the active theme's token values with it; the chart SVGs inside
+// were inlined against the same theme.
+const themeTokenStyles = () => {
+  const computed = window.getComputedStyle(document.documentElement);
+  const declarations = REPORT_TOKENS.map(
+    (token) => `--color-${token}: ${computed.getPropertyValue(`--color-${token}`).trim()};`
+  ).join(' ');
+  return `:root { ${declarations} }`;
+};
+
+// Print colour adjustment keeps the card backgrounds when saving to PDF; browsers drop backgrounds by default.
+const REPORT_STYLES = `
+  * { box-sizing: border-box; }
+  html { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body { margin: 0; padding: 2.5rem; background: rgb(var(--color-background)); color: rgb(var(--color-text));
+    font-family: 'Inter', system-ui, -apple-system, 'Segoe UI', sans-serif; }
+  h1 { margin: 0 0 0.35rem; color: rgb(var(--color-brand)); letter-spacing: -0.02em; }
+  .report-meta { margin: 0 0 1.5rem; color: rgb(var(--color-text-muted) / 0.85); font-size: 0.9rem; }
+  .report-summary { display: flex; flex-wrap: wrap; gap: 0.75rem; margin-bottom: 2rem; }
+  .report-summary div { min-width: 140px; padding: 0.75rem 1rem; border-radius: 0.75rem;
+    background: rgb(var(--color-outline) / 0.08); border: 1px solid rgb(var(--color-outline) / 0.2); }
+  .report-summary strong { display: block; font-size: 0.7rem; letter-spacing: 0.12em; text-transform: uppercase;
+    color: rgb(var(--color-text) / 0.78); }
+  .report-summary span { display: block; margin-top: 0.3rem; font-size: 1.15rem; color: rgb(var(--color-text-strong)); }
+  .report-summary small { margin-right: 0.4rem; font-size: 0.7rem; color: rgb(var(--color-text-muted) / 0.7); }
+  .report-grid { display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 1.5rem; }
+  section { padding: 1.25rem; border-radius: 1rem; background: rgb(var(--color-surface) / 0.7);
+    border: 1px solid rgb(var(--color-border) / 0.15); break-inside: avoid; page-break-inside: avoid; }
+  h2 { margin: 0 0 0.35rem; font-size: 1.1rem; color: rgb(var(--color-text-strong)); }
+  .report-description { margin: 0 0 0.6rem; font-size: 0.85rem; color: rgb(var(--color-text-muted) / 0.85); }
+  .report-legend { display: flex; flex-wrap: wrap; gap: 0.75rem; margin-bottom: 0.5rem; font-size: 0.75rem; }
+  .report-legend i { display: inline-block; width: 0.7rem; height: 0.7rem; margin-right: 0.3rem; border-radius: 0.2rem;
+    vertical-align: -0.05rem; }
+  section svg { display: block; width: 100%; height: auto; }
+  .report-insight { margin: 0.6rem 0 0; font-size: 0.85rem; font-weight: 600; color: rgb(var(--color-series-secondary) / 0.9); }
+  @page { margin: 12mm; }
+  @media print { body { padding: 0; } .report-grid { grid-template-columns: 1fr; } }
+`;
+
+const renderSummary = (summaries) =>
+  SUMMARY_METRICS.map((metric) => {
+    const values = summaries
+      .map(({ show, summary }) =>
+        summaries.length > 1
+          ? `<span><small>${escapeHtml(show)}</small>${escapeHtml(metric.format(summary))}</span>`
+          : `<span>${escapeHtml(metric.format(summary))}</span>`
+      )
+      .join('');
+    return `<div><strong>${escapeHtml(metric.label)}</strong>${values}</div>`;
+  }).join('');
+
+const renderCard = (card) => {
+  const title = card.querySelector('h2')?.textContent ?? '';
+  const description = card.querySelector('.chart-description')?.textContent ?? '';
+  const insight = card.querySelector('.chart-insight')?.textContent ?? '';
+  const svg = buildChartSvg(card, { title, insight, includeCaption: false });
+  const legend = readLegend(card)
+    .map(({ label, color }) => `<span><i style="background:${escapeHtml(color)}"></i>${escapeHtml(label)}</span>`)
+    .join('');
+
+  return `<section>
+  <h2>${escapeHtml(title)}</h2>
+  <p class="report-description">${escapeHtml(description)}</p>
+  ${legend ? `<div class="report-legend">${legend}</div>` : ''}
+  ${new XMLSerializer().serializeToString(svg)}
+  ${insight ? `<p class="report-insight">${escapeHtml(insight)}</p>` : ''}
+</section>`;
+};
+
+// Snapshots every chart card currently rendered under `root`; cards without an SVG (tables) are left out.
+export const buildReportHtml = (root, { datasetName, summaries, filterNote, generatedAt = new Date() }) => {
+  const cards = Array.from(root.querySelectorAll('.chart-card')).filter((card) => card.querySelector('svg'));
+  const title = `Podcast report · ${summaries.map(({ show }) => show).join(' vs ')}`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${themeTokenStyles()}${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="report-meta">Dataset: ${escapeHtml(datasetName)} · Generated ${escapeHtml(generatedAt.toLocaleString())}${
+    filterNote ? ` · ${escapeHtml(filterNote)}` : ''
+  }</p>
+<div class="report-summary">${renderSummary(summaries)}</div>
+<div class="report-grid">
+${cards.map(renderCard).join('\n')}
+</div>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,162 @@
+import { median } from 'd3-array';
+import { formatCount } from './chartTable.js';
+import { fitOls } from './regression.js';
+
+// Two-sided 80% band; wide enough to be honest about a short catalog, narrow enough to stay readable.
+const BAND_Z = 1.2816;
+export const FORECAST_BAND_LABEL = '80% band';
+
+export const DEFAULT_FORECAST = { model: 'off', horizon: 10 };
+export const FORECAST_HORIZON_RANGE = [1, 30];
+
+// Fits against the episode index and widens the band by each step's prediction error.
+// `sd` is that error carried back to the metric's own units, via `toSpread(sd, value)` when the fit is transformed.
+const projectFit = (values, horizon, toValue, toSpread = (sd) => sd) => {
+  const fit = fitOls(values.map((y, x) => ({ x, y })));
+  return Array.from({ length: horizon }, (_, step) => {
+    const x = values.length + step;
+    const fitted = fit.predict(x);
+    const sd = fit.standardError(x, { newObservation: true });
+    const margin = BAND_Z * sd;
+    const value = toValue(fitted);
+    return { value, lower: toValue(fitted - margin), upper: toValue(fitted + margin), sd: toSpread(sd, value) };
+  });
+};
+
+const linearTrend = (values, horizon) => projectFit(values, horizon, (value) => value);
+
+// Fit in log space; non-positive values are floored at 1 so a quiet episode can't break the log.
+const exponentialGrowth = (values, horizon) =>
+  projectFit(
+    values.map((value) => Math.log(Math.max(1, value))),
+    horizon,
+    Math.exp,
+    (sd, value) => sd * value
+  );
+
+const runHolt = (values, alpha, beta) => {
+  let level = values[0];
+  let trend = values.length > 1 ? values[1] - values[0] : 0;
+  let sse = 0;
+  for (let idx = 1; idx < values.length; idx += 1) {
+    const predicted = level + trend;
+    sse += (values[idx] - predicted) ** 2;
+    const previousLevel = level;
+    level = alpha * values[idx] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+  return { level, trend, sse };
+};
+
+const SMOOTHING_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+// Holt's linear method with alpha/beta picked by a coarse grid search on one-step-ahead error.
+const holt = (values, horizon) => {
+  let best = null;
+  SMOOTHING_GRID.forEach((alpha) => {
+    SMOOTHING_GRID.forEach((beta) => {
+      const fit = runHolt(values, alpha, beta);
+      if (!best || fit.sse < best.sse) {
+        best = { ...fit, alpha, beta };
+      }
+    });
+  });
+
+  const sd = values.length > 3 ? Math.sqrt(best.sse / (values.length - 3)) : 0;
+  return Array.from({ length: horizon }, (_, step) => {
+    const h = step + 1;
+    const value = best.level + h * best.trend;
+    let variance = 1;
+    for (let j = 1; j < h; j += 1) {
+      variance += (best.alpha * (1 + j * best.beta)) ** 2;
+    }
+    const stepSd = sd * Math.sqrt(variance);
+    const margin = BAND_Z * stepSd;
+    return { value, lower: value - margin, upper: value + margin, sd: stepSd };
+  });
+};
+
+export const FORECAST_MODELS = {
+  linear: { label: 'Linear trend', project: linearTrend },
+  exponential: { label: 'Exponential growth', project: exponentialGrowth },
+  holt: { label: 'Holt smoothing', project: holt },
+};
+
+// Future episodes continue the numbering and, when dates exist, the median release gap.
+const projectEpisodes = (episodes, horizon) => {
+  const last = episodes[episodes.length - 1];
+  const gaps = episodes
+    .slice(1)
+    .map((d, idx) => (d.publishDate && episodes[idx].publishDate ? d.publishDate - episodes[idx].publishDate : null))
+    .filter((gap) => gap !== null);
+  const gap = gaps.length ? median(gaps) : null;
+  return Array.from({ length: horizon }, (_, step) => ({
+    episode: last.episode + step + 1,
+    publishDate: last.publishDate && gap !== null ? new Date(last.publishDate.getTime() + gap * (step + 1)) : null,
+  }));
+};
+
+export const forecastMetric = (episodes, accessor, { model, horizon }) => {
+  const projector = FORECAST_MODELS[model];
+  if (!projector || episodes.length < 4) {
+    return null;
+  }
+  const projected = projector.project(episodes.map(accessor), horizon);
+  return projectEpisodes(episodes, horizon).map((episode, idx) => ({ ...episode, ...projected[idx] }));
+};
+
+// Milestones step in halves of the current order of magnitude: 4,700 subscribers aims for 5,000, 12,000 for 15,000.
+const milestoneStep = (value) => 5 * 10 ** Math.max(0, Math.floor(Math.log10(Math.max(1, value))) - 1);
+
+const describeSubscriberForecast = (points, current, label) => {
+  const last = points[points.length - 1];
+  const step = milestoneStep(current);
+  const milestone = Math.floor(last.value / step) * step;
+  const crossing = milestone > current ? points.find((point) => point.value >= milestone) : null;
+  const range = `${FORECAST_BAND_LABEL} ${formatCount(last.lower)}–${formatCount(last.upper)}`;
+  if (crossing && crossing !== last) {
+    return `${label} expects the show to pass ${formatCount(milestone)} subscribers by episode ${
+      crossing.episode
+    } and reach about ${formatCount(last.value)} by episode ${last.episode} (${range}).`;
+  }
+  if (crossing) {
+    return `${label} expects the show to pass ${formatCount(milestone)} subscribers by episode ${last.episode} (${range}).`;
+  }
+  return `${label} projects about ${formatCount(last.value)} subscribers by episode ${last.episode} (${range}).`;
+};
+
+const describeDownloadsForecast = (points, label) => {
+  const last = points[points.length - 1];
+  const range = `${FORECAST_BAND_LABEL} ${formatCount(Math.max(0, last.lower))}–${formatCount(last.upper)}`;
+  return `${label} projects episode ${last.episode} at about ${formatCount(last.value)} downloads (${range}).`;
+};
+
+// Running totals sum the projected gains. Every step comes from the same fitted trend, so their errors move together
+// and the spreads add directly; treating them as independent would understate how far the total can drift.
+const accumulate = (points, start) => {
+  let value = start;
+  let sd = 0;
+  return points.map((point) => {
+    value += point.value;
+    sd += point.sd;
+    const margin = BAND_Z * sd;
+    return { ...point, value, lower: value - margin, upper: value + margin, sd };
+  });
+};
+
+export const buildForecasts = (episodes, settings) => {
+  const downloads = forecastMetric(episodes, (d) => d.downloads, settings);
+  const gains = forecastMetric(episodes, (d) => d.subscribersGained, settings);
+  if (!downloads || !gains) {
+    return null;
+  }
+  const subscribers = accumulate(gains, episodes[episodes.length - 1].cumulativeSubscribers);
+  const { label } = FORECAST_MODELS[settings.model];
+  return {
+    downloads: { points: downloads, insight: describeDownloadsForecast(downloads, label) },
+    subscribers: {
+      points: subscribers,
+      insight: describeSubscriberForecast(subscribers, episodes[episodes.length - 1].cumulativeSubscribers, label),
+    },
+  };
+};
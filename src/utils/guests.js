@@ -0,0 +1,40 @@
+import { mean } from 'd3-array';
+
+const GUEST_SEPARATOR = /\s*(?:,\s*and\s+|,|;|&|\band\b)\s*/i;
+
+export const parseGuests = (guest) =>
+  String(guest ?? '')
+    .split(GUEST_SEPARATOR)
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+const summarizeEpisodes = (items) => ({
+  episodeCount: items.length,
+  averageDownloads: mean(items, (d) => d.downloads) ?? 0,
+  averageCompletionRate: mean(items, (d) => d.completionRate) ?? 0,
+  averageSubscribersGained: mean(items, (d) => d.subscribersGained) ?? 0,
+  averageShares: mean(items, (d) => d.socialMediaShares) ?? 0,
+});
+
+export const aggregateGuests = (episodes) => {
+  const byGuest = new Map();
+  episodes.forEach((episode) => {
+    episode.guests.forEach((name) => {
+      if (!byGuest.has(name)) {
+        byGuest.set(name, []);
+      }
+      byGuest.get(name).push(episode);
+    });
+  });
+
+  return [...byGuest].map(([name, items]) => ({
+    name,
+    episodes: items.map((d) => d.episode),
+    ...summarizeEpisodes(items),
+  }));
+};
+
+export const compareGuestFormats = (episodes) => ({
+  solo: summarizeEpisodes(episodes.filter((d) => d.guests.length === 1)),
+  panel: summarizeEpisodes(episodes.filter((d) => d.guests.length > 1)),
+});
@@ -0,0 +1,17 @@
+// Runs every rule against the same context and ranks whatever findings come back, strongest first.
+export const runInsightRules = (rules, context) =>
+  rules
+    .flatMap((rule) => {
+      const finding = rule.evaluate(context);
+      return finding ? [{ id: rule.id, chart: rule.chart ?? null, episodes: [], ...finding }] : [];
+    })
+    .sort((a, b) => b.score - a.score);
+
+// Each chart captions itself with its highest-ranked finding.
+export const insightsByChart = (findings) =>
+  findings.reduce((insights, finding) => {
+    if (finding.chart && !(finding.chart in insights)) {
+      insights[finding.chart] = finding.text;
+    }
+    return insights;
+  }, {});
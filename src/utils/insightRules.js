@@ -0,0 +1,307 @@
+import { mean } from 'd3-array';
+import { aggregateGuests, compareGuestFormats } from './guests.js';
+import { summarizeByCalendar } from './releaseCalendar.js';
+import {
+  bootstrapDifference,
+  cohensD,
+  correlationStrength,
+  correlationTest,
+  effectSizeLabel,
+  formatPValue,
+  isSignificant,
+} from './statistics.js';
+import { summarizeTopics } from './topics.js';
+
+// A rule is { id, chart?, evaluate({ episodes, summary, topics }) } and returns a finding or null.
+// Findings are { title, text, score, episodes? }; scores run 0–1 and only matter relative to other findings.
+// Rules with a `chart` key also caption that chart when they're its highest-scoring finding.
+
+const formatPercent = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+
+const relativeChange = (early, late) => {
+  const earlyMean = mean(early) ?? 0;
+  return earlyMean === 0 ? NaN : ((mean(late) - earlyMean) / earlyMean) * 100;
+};
+
+const pointChange = (early, late) => ((mean(late) ?? 0) - (mean(early) ?? 0)) * 100;
+
+const splitHalves = (episodes, accessor) => {
+  const halfwayIndex = Math.floor(episodes.length / 2);
+  return [episodes.slice(0, halfwayIndex).map(accessor), episodes.slice(halfwayIndex).map(accessor)];
+};
+
+const episodeRange = (items) =>
+  items.length === 1 ? `episode ${items[0].episode}` : `episodes ${items[0].episode}–${items[items.length - 1].episode}`;
+
+// Appends the bootstrap interval, and either the effect size or a plain "not significant" caveat.
+const qualifyShift = (statement, test, effectSize, format) => {
+  if (!test.interval) {
+    return `${statement}.`;
+  }
+  const interval = `95% CI ${format(test.interval[0])} to ${format(test.interval[1])}`;
+  if (!isSignificant(test.pValue)) {
+    return `${statement}, but that isn’t statistically significant (${interval}, ${formatPValue(test.pValue)}).`;
+  }
+  return `${statement} (${interval}, ${formatPValue(test.pValue)}; ${effectSizeLabel(
+    effectSize
+  )} effect, d = ${effectSize.toFixed(2)}).`;
+};
+
+const shiftFinding = ({ title, episodes, accessor, statistic, statement, format }) => {
+  const halves = splitHalves(episodes, accessor);
+  const test = bootstrapDifference(...halves, statistic);
+  const effectSize = cohensD(...halves);
+  return {
+    title,
+    text: qualifyShift(statement, test, effectSize, format),
+    score: isSignificant(test.pValue) ? Math.min(1, Math.abs(effectSize) / 1.5) : 0.1,
+  };
+};
+
+// Significant-but-negligible correlations get their own wording; `none` is only for non-significant results.
+const correlationFinding = ({ title, test, positive, negative, negligible, none }) => {
+  const stats = `r = ${test.r.toFixed(2)}, 95% CI ${test.interval[0].toFixed(2)} to ${test.interval[1].toFixed(
+    2
+  )}, ${formatPValue(test.pValue)}`;
+  const strength = correlationStrength(test.r);
+  if (!isSignificant(test.pValue)) {
+    return { title, text: none(stats), score: 0.05 };
+  }
+  if (strength === 'negligible') {
+    return { title, text: negligible(stats), score: 0.05 };
+  }
+  return {
+    title,
+    text: test.r >= 0 ? positive(strength, stats) : negative(strength, stats),
+    score: Math.abs(test.r),
+  };
+};
+
+// Longest run of consecutive items matching `predicate`.
+const longestRun = (items, predicate) => {
+  let best = [];
+  let current = [];
+  items.forEach((item) => {
+    current = predicate(item) ? [...current, item] : [];
+    if (current.length > best.length) {
+      best = current;
+    }
+  });
+  return best;
+};
+
+export const INSIGHT_RULES = [
+  {
+    id: 'downloads-shift',
+    chart: 'downloads',
+    evaluate: ({ episodes, summary }) =>
+      shiftFinding({
+        title: 'Downloads momentum',
+        episodes,
+        accessor: (d) => d.downloads,
+        statistic: relativeChange,
+        statement:
+          `Recent episodes are averaging ${formatPercent(
+            summary.downloadsGrowthPercent
+          )} downloads versus the earliest half of the catalog`,
+        format: (value) => formatPercent(value, 0),
+      }),
+  },
+  {
+    id: 'completion-shift',
+    chart: 'completion',
+    evaluate: ({ episodes, summary }) =>
+      shiftFinding({
+        title: 'Completion shift',
+        episodes,
+        accessor: (d) => d.completionRate,
+        statistic: pointChange,
+        statement:
+          `Completion rate moved ${formatPercent(summary.completionRateChange)} from early episodes to the latest half`,
+        format: (value) => formatPercent(value),
+      }),
+  },
+  {
+    id: 'listener-mix-shift',
+    chart: 'listenerMix',
+    evaluate: ({ episodes, summary }) =>
+      shiftFinding({
+        title: 'Audience mix',
+        episodes,
+        accessor: (d) => d.newListenerRatio,
+        statistic: pointChange,
+        statement:
+          `New listeners make up ${formatPercent(summary.newListenerShareChange)} more of the audience in newer episodes`,
+        format: (value) => formatPercent(value),
+      }),
+  },
+  {
+    id: 'subscriber-total',
+    chart: 'subscriberGrowth',
+    evaluate: ({ summary }) => ({
+      title: 'Subscriber total',
+      text: `Total subscribers climbed to ${summary.totalSubscribers.toLocaleString()} with the latest release.`,
+      score: 0.2,
+    }),
+  },
+  {
+    id: 'shares-subscribers-correlation',
+    chart: 'sharesToSubs',
+    evaluate: ({ episodes }) =>
+      correlationFinding({
+        title: 'Sharing and subscribers',
+        test: correlationTest(
+          episodes.map((d) => d.socialMediaShares),
+          episodes.map((d) => d.subscribersGained)
+        ),
+        positive: (strength, stats) =>
+          `Social sharing has a ${strength} positive correlation with subscriber gains (${stats}).`,
+        negative: (strength, stats) =>
+          `Higher social sharing has a ${strength} negative correlation with subscriber gains (${stats}).`,
+        negligible: (stats) =>
+          `Social sharing has a statistically significant but negligible correlation with subscriber gains (${stats}).`,
+        none: (stats) => `Social sharing shows no significant correlation with subscriber gains (${stats}).`,
+      }),
+  },
+  {
+    id: 'duration-completion-correlation',
+    chart: 'duration',
+    evaluate: ({ episodes }) =>
+      correlationFinding({
+        title: 'Length and completion',
+        test: correlationTest(
+          episodes.map((d) => d.durationMinutes),
+          episodes.map((d) => d.completionRate)
+        ),
+        positive: (strength, stats) =>
+          `Longer episodes show a ${strength} tendency toward stronger completion rates (${stats}).`,
+        negative: (strength, stats) =>
+          `Longer episodes show a ${strength} tendency toward lower completion (${stats}); consider testing shorter cuts.`,
+        negligible: (stats) =>
+          `Episode length has a statistically significant but negligible link to completion rate (${stats}).`,
+        none: (stats) => `Episode length has no significant link to completion rate (${stats}).`,
+      }),
+  },
+  {
+    id: 'panel-vs-solo',
+    chart: 'guests',
+    evaluate: ({ episodes }) => {
+      const { solo, panel } = compareGuestFormats(episodes);
+      if (!(solo.averageDownloads > 0) || !panel.episodeCount) {
+        return null;
+      }
+      const panelLift = ((panel.averageDownloads - solo.averageDownloads) / solo.averageDownloads) * 100;
+      return {
+        title: 'Panel vs. solo',
+        text: `Panel episodes (${panel.episodeCount}) average ${formatPercent(
+          panelLift
+        )} downloads versus solo-guest episodes (${solo.episodeCount}).`,
+        score: Math.min(1, Math.abs(panelLift) / 100),
+      };
+    },
+  },
+  {
+    id: 'top-topic',
+    chart: 'topics',
+    evaluate: ({ episodes, summary, topics }) => {
+      const topicGroups = summarizeTopics(episodes, topics);
+      if (topicGroups.length < 2) {
+        return null;
+      }
+      const bestTopic = topicGroups.reduce((best, group) => (group.averageDownloads > best.averageDownloads ? group : best));
+      const lift = summary.averageDownloads ? bestTopic.averageDownloads / summary.averageDownloads - 1 : 0;
+      return {
+        title: 'Top topic',
+        text: `${bestTopic.label} episodes lead on reach with ${Math.round(
+          bestTopic.averageDownloads
+        ).toLocaleString()} average downloads across ${bestTopic.episodeCount} episodes.`,
+        score: Math.min(1, lift),
+      };
+    },
+  },
+  {
+    id: 'best-weekday',
+    chart: 'releaseRhythm',
+    evaluate: ({ episodes, summary }) => {
+      if (!summary.hasPublishDates) {
+        return null;
+      }
+      const weekdays = summarizeByCalendar(episodes, 'weekday').filter((group) => group.episodeCount);
+      const bestWeekday = weekdays.reduce((best, group) => (group.averageDownloads > best.averageDownloads ? group : best));
+      const lift = summary.averageDownloads ? bestWeekday.averageDownloads / summary.averageDownloads - 1 : 0;
+      return {
+        title: 'Best release day',
+        text: `${bestWeekday.name} releases average ${Math.round(
+          bestWeekday.averageDownloads
+        ).toLocaleString()} downloads, the most of any weekday (${bestWeekday.episodeCount} episodes).`,
+        score: weekdays.length > 1 ? Math.min(1, lift) : 0,
+      };
+    },
+  },
+  {
+    id: 'completion-streak',
+    evaluate: ({ episodes, summary }) => {
+      const streak = longestRun(episodes, (d) => d.completionRate > summary.averageCompletionRate);
+      if (streak.length < 3) {
+        return null;
+      }
+      return {
+        title: 'Best completion streak',
+        text: `Episodes ${streak[0].episode}–${streak[streak.length - 1].episode} beat the ${(summary.averageCompletionRate * 100).toFixed(
+          1
+        )}% average completion rate ${streak.length} times in a row, the longest run in the catalog.`,
+        score: Math.min(0.9, streak.length / 12),
+        episodes: streak.map((d) => d.episode),
+      };
+    },
+  },
+  {
+    id: 'conversion-decline',
+    evaluate: ({ episodes }) => {
+      // Count back from the latest release while each episode converts worse than the one before it.
+      let drops = 0;
+      for (let idx = episodes.length - 1; idx > 0; idx -= 1) {
+        if (episodes[idx].subscribersPerThousandDownloads >= episodes[idx - 1].subscribersPerThousandDownloads) {
+          break;
+        }
+        drops += 1;
+      }
+      if (drops < 3) {
+        return null;
+      }
+      const run = episodes.slice(-(drops + 1));
+      const format = (d) => d.subscribersPerThousandDownloads.toFixed(1);
+      return {
+        title: 'Conversion slipping',
+        text: `Subscriber conversion dropped ${drops} episodes in a row, from ${format(run[0])} to ${format(
+          run[run.length - 1]
+        )} per 1,000 downloads (${episodeRange(run)}).`,
+        score: Math.min(0.95, 0.5 + (drops - 3) * 0.1),
+        episodes: run.slice(1).map((d) => d.episode),
+      };
+    },
+  },
+  {
+    id: 'top-guest-shares',
+    evaluate: ({ episodes }) => {
+      const guests = aggregateGuests(episodes);
+      const averageShares = mean(episodes, (d) => d.socialMediaShares);
+      if (guests.length < 2 || !averageShares) {
+        return null;
+      }
+      const topGuest = guests.reduce((best, guest) => (guest.averageShares > best.averageShares ? guest : best));
+      const lift = (topGuest.averageShares / averageShares - 1) * 100;
+      return {
+        title: 'Top guest by shares',
+        text: `${topGuest.name} drives the most sharing, with ${Math.round(
+          topGuest.averageShares
+        ).toLocaleString()} shares per episode across ${topGuest.episodeCount} ${
+          topGuest.episodeCount === 1 ? 'episode' : 'episodes'
+        } (${formatPercent(lift, 0)} versus the catalog average).`,
+        // One-off appearances rank lower; a single viral episode says less than a repeat guest's track record.
+        score: Math.min(1, lift / 200) * (topGuest.episodeCount > 1 ? 1 : 0.6),
+        episodes: topGuest.episodes,
+      };
+    },
+  },
+];
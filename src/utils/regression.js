@@ -0,0 +1,131 @@
+import { mean, median } from 'd3-array';
+
+const Z_975 = 1.959964;
+
+// Exact two-sided 95% t quantiles for 1–30 degrees of freedom, where small samples need them most.
+const T_975 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.16, 2.145, 2.131, 2.12,
+  2.11, 2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+// Past the table a Cornish–Fisher expansion is within 0.001 of the exact value.
+const tQuantile975 = (df) => {
+  if (!Number.isFinite(df) || df <= 0) {
+    return Z_975;
+  }
+  if (df <= T_975.length) {
+    return T_975[Math.ceil(df) - 1];
+  }
+  const z = Z_975;
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2);
+};
+
+const rSquaredOf = (points, predict) => {
+  const meanY = mean(points, (p) => p.y);
+  const total = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+  const residual = points.reduce((sum, p) => sum + (p.y - predict(p.x)) ** 2, 0);
+  return total === 0 ? 0 : 1 - residual / total;
+};
+
+// Every fit falls back to a flat line through the mean when x doesn't vary (or there's a single point).
+const flatFit = (points) => {
+  const meanY = mean(points, (p) => p.y) ?? 0;
+  return { slope: 0, intercept: meanY };
+};
+
+// Ordinary least squares on (t(x), y). `standardError(x)` is for the fitted mean, or for a new observation when asked.
+const fitLeastSquares = (points, transform = (x) => x) => {
+  const n = points.length;
+  const ts = points.map((p) => transform(p.x));
+  const meanT = mean(ts) ?? 0;
+  const stt = ts.reduce((sum, t) => sum + (t - meanT) ** 2, 0);
+  let { slope, intercept } = flatFit(points);
+  if (n > 1 && stt > 0) {
+    const meanY = mean(points, (p) => p.y);
+    slope = ts.reduce((sum, t, idx) => sum + (t - meanT) * (points[idx].y - meanY), 0) / stt;
+    intercept = meanY - slope * meanT;
+  }
+
+  const predict = (x) => intercept + slope * transform(x);
+  const sse = points.reduce((sum, p) => sum + (p.y - predict(p.x)) ** 2, 0);
+  const residualSd = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+  const standardError = (x, { newObservation = false } = {}) =>
+    residualSd *
+    Math.sqrt((newObservation ? 1 : 0) + (n ? 1 / n : 0) + (stt === 0 ? 0 : (transform(x) - meanT) ** 2 / stt));
+  const t = tQuantile975(n - 2);
+
+  return {
+    slope,
+    intercept,
+    predict,
+    standardError,
+    band: n > 2 ? (x) => [predict(x) - t * standardError(x), predict(x) + t * standardError(x)] : null,
+    rSquared: n > 1 ? rSquaredOf(points, predict) : 0,
+  };
+};
+
+export const fitOls = (points) => fitLeastSquares(points);
+
+// Median of pairwise slopes; one bad episode can't drag the line the way it does under least squares.
+export const fitTheilSen = (points) => {
+  const slopes = [];
+  for (let i = 0; i < points.length; i += 1) {
+    for (let j = i + 1; j < points.length; j += 1) {
+      if (points[j].x !== points[i].x) {
+        slopes.push((points[j].y - points[i].y) / (points[j].x - points[i].x));
+      }
+    }
+  }
+  let { slope, intercept } = flatFit(points);
+  if (slopes.length) {
+    slope = median(slopes);
+    intercept = median(points, (p) => p.y - slope * p.x);
+  }
+  const predict = (x) => intercept + slope * x;
+  return { slope, intercept, predict, band: null, rSquared: points.length > 1 ? rSquaredOf(points, predict) : 0 };
+};
+
+// Diminishing returns: y grows with ln(x). Points at x ≤ 0 have no log and are left out of the fit.
+export const fitLogX = (points) => fitLeastSquares(points.filter((p) => p.x > 0), Math.log);
+
+const formatCoefficient = (value) => {
+  const rounded = Number(value.toPrecision(3));
+  const text = Math.abs(rounded) >= 1000 ? Math.round(rounded).toLocaleString() : String(rounded);
+  return text.replace('-', '−');
+};
+
+const formatTerm = (value, suffix) => `${value < 0 ? '−' : '+'} ${formatCoefficient(Math.abs(value))}${suffix}`;
+
+export const REGRESSION_FITS = {
+  ols: {
+    label: 'Least squares',
+    fit: fitOls,
+    equation: ({ slope, intercept }) => `y = ${formatCoefficient(intercept)} ${formatTerm(slope, 'x')}`,
+  },
+  theilSen: {
+    label: 'Theil–Sen',
+    fit: fitTheilSen,
+    equation: ({ slope, intercept }) => `y = ${formatCoefficient(intercept)} ${formatTerm(slope, 'x')}`,
+  },
+  logX: {
+    label: 'Log x',
+    fit: fitLogX,
+    equation: ({ slope, intercept }) => `y = ${formatCoefficient(intercept)} ${formatTerm(slope, '·ln x')}`,
+  },
+};
+
+export const DEFAULT_REGRESSION_FIT = 'ols';
+
+export const fitRegression = (points, fitKey) => {
+  const { fit, equation } = REGRESSION_FITS[fitKey];
+  const model = fit(points);
+  return { ...model, equation: equation(model) };
+};
+
+// Residuals plus a flag for episodes well below the fit (more than 1.5 residual SDs).
+export const residualsOf = (points, model) => {
+  const residuals = points.map((p) => ({ ...p, residual: p.y - model.predict(p.x) }));
+  const finite = residuals.filter((p) => Number.isFinite(p.residual));
+  const sd = finite.length > 1 ? Math.sqrt(finite.reduce((sum, p) => sum + p.residual ** 2, 0) / (finite.length - 1)) : 0;
+  return residuals.map((p) => ({ ...p, isUnderperforming: sd > 0 && p.residual < -1.5 * sd }));
+};
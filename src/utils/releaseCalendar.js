@@ -0,0 +1,58 @@
+import { mean } from 'd3-array';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+export const CALENDAR_GROUPINGS = {
+  weekday: {
+    label: 'Day of week',
+    // Weeks start on Monday so the weekend sits together at the end.
+    keys: [1, 2, 3, 4, 5, 6, 0],
+    keyOf: (date) => date.getDay(),
+    nameOf: (key) => WEEKDAY_NAMES[key],
+  },
+  month: {
+    label: 'Month',
+    keys: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    keyOf: (date) => date.getMonth(),
+    nameOf: (key) => MONTH_NAMES[key],
+  },
+};
+
+export const summarizeByCalendar = (episodes, groupingKey) => {
+  const grouping = CALENDAR_GROUPINGS[groupingKey];
+  const buckets = new Map(grouping.keys.map((key) => [key, []]));
+
+  episodes.forEach((episode) => {
+    if (episode.publishDate) {
+      buckets.get(grouping.keyOf(episode.publishDate)).push(episode);
+    }
+  });
+
+  return grouping.keys.map((key) => {
+    const items = buckets.get(key);
+    const name = grouping.nameOf(key);
+
+    return {
+      key,
+      name,
+      shortName: name.slice(0, 3),
+      episodeCount: items.length,
+      averageDownloads: mean(items, (d) => d.downloads) ?? null,
+      averageCompletionRate: mean(items, (d) => d.completionRate) ?? null,
+    };
+  });
+};
@@ -0,0 +1,82 @@
+import { mean } from 'd3-array';
+
+export const DEFAULT_SMOOTHING = { method: 'trailing', window: 7 };
+export const SMOOTHING_WINDOW_RANGE = [2, 30];
+
+const trailingAverage = (values, window) =>
+  values.map((_, index) => mean(values.slice(Math.max(0, index - (window - 1)), index + 1)));
+
+// Near the ends the window shrinks instead of padding, so the first and last points stay unbiased.
+const centeredAverage = (values, window) => {
+  const before = Math.floor((window - 1) / 2);
+  const after = window - 1 - before;
+  return values.map((_, index) => mean(values.slice(Math.max(0, index - before), index + after + 1)));
+};
+
+// The usual span convention: alpha = 2 / (N + 1), seeded with the first value.
+const exponentialAverage = (values, window) => {
+  const alpha = 2 / (window + 1);
+  let previous = values[0];
+  return values.map((value, index) => {
+    previous = index === 0 ? value : alpha * value + (1 - alpha) * previous;
+    return previous;
+  });
+};
+
+// Local linear fit over the `window` nearest episodes with tricube weights.
+const loess = (values, window) => {
+  const n = values.length;
+  const span = Math.min(n, Math.max(3, window));
+  return values.map((_, index) => {
+    const start = Math.max(0, Math.min(index - Math.floor(span / 2), n - span));
+    const end = start + span - 1;
+    const reach = Math.max(index - start, end - index) + 1;
+    let sumW = 0;
+    let sumWX = 0;
+    let sumWY = 0;
+    let sumWXX = 0;
+    let sumWXY = 0;
+    for (let j = start; j <= end; j += 1) {
+      const weight = (1 - (Math.abs(j - index) / reach) ** 3) ** 3;
+      sumW += weight;
+      sumWX += weight * j;
+      sumWY += weight * values[j];
+      sumWXX += weight * j * j;
+      sumWXY += weight * j * values[j];
+    }
+    const denominator = sumW * sumWXX - sumWX * sumWX;
+    if (denominator === 0) {
+      return sumWY / sumW;
+    }
+    const slope = (sumW * sumWXY - sumWX * sumWY) / denominator;
+    return (sumWY - slope * sumWX) / sumW + slope * index;
+  });
+};
+
+export const SMOOTHERS = {
+  trailing: {
+    label: 'Trailing average',
+    describe: (window) => `${window}-episode moving average`,
+    smooth: trailingAverage,
+  },
+  centered: {
+    label: 'Centered average',
+    describe: (window) => `${window}-episode centered average`,
+    smooth: centeredAverage,
+  },
+  ema: {
+    label: 'Exponential average',
+    describe: (window) => `${window}-episode exponential average`,
+    smooth: exponentialAverage,
+  },
+  loess: {
+    label: 'LOESS',
+    describe: (window) => `LOESS over ${Math.max(3, window)} episodes`,
+    smooth: loess,
+  },
+};
+
+export const smoothSeries = (values, { method, window } = DEFAULT_SMOOTHING) =>
+  values.length ? (SMOOTHERS[method] ?? SMOOTHERS.trailing).smooth(values, Math.max(1, Math.round(window))) : [];
+
+export const describeSmoothing = ({ method, window }) => (SMOOTHERS[method] ?? SMOOTHERS.trailing).describe(window);
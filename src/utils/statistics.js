@@ -0,0 +1,126 @@
+import { mean } from 'd3-array';
+
+// Share of values below `value`, counting ties as half, expressed as 0–100.
+export const percentileRank = (values, value) => {
+  if (!values.length) {
+    return 0;
+  }
+  const below = values.filter((v) => v < value).length;
+  const equal = values.filter((v) => v === value).length;
+  return ((below + equal / 2) / values.length) * 100;
+};
+
+const Z_95 = 1.959964;
+
+// Abramowitz & Stegun 7.1.26; accurate to ~1e-7, which is plenty for reporting p-values.
+const erf = (x) => {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-x * x));
+};
+
+export const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+export const pearson = (xs, ys) => {
+  const n = xs.length;
+  if (!n) {
+    return 0;
+  }
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  const numerator = xs.reduce((sum, x, idx) => sum + (x - meanX) * (ys[idx] - meanY), 0);
+  const variance = (values, m) => values.reduce((sum, v) => sum + (v - m) ** 2, 0);
+  const denominator = Math.sqrt(variance(xs, meanX) * variance(ys, meanY));
+  return denominator === 0 ? 0 : numerator / denominator;
+};
+
+// Fisher z-transform: atanh(r) is roughly normal with SE 1/sqrt(n - 3), which gives both the p-value and the CI.
+export const correlationTest = (xs, ys) => {
+  const n = xs.length;
+  const r = pearson(xs, ys);
+  if (n < 4) {
+    return { r, n, pValue: 1, interval: [-1, 1] };
+  }
+  const clamped = Math.max(-0.999999, Math.min(0.999999, r));
+  const z = Math.atanh(clamped);
+  const se = 1 / Math.sqrt(n - 3);
+  return {
+    r,
+    n,
+    pValue: 2 * (1 - normalCdf(Math.abs(z) / se)),
+    interval: [Math.tanh(z - Z_95 * se), Math.tanh(z + Z_95 * se)],
+  };
+};
+
+// Small deterministic PRNG (mulberry32) so bootstrap intervals don't wobble between renders.
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const resample = (values, random) => values.map(() => values[Math.floor(random() * values.length)]);
+
+// Percentile bootstrap for a two-sample statistic; the p-value is the two-sided share of resamples across zero.
+export const bootstrapDifference = (early, late, statistic, { iterations = 2000, seed = 1 } = {}) => {
+  const estimate = statistic(early, late);
+  if (early.length < 2 || late.length < 2) {
+    return { estimate, interval: null, pValue: null };
+  }
+  const random = seededRandom(seed);
+  const samples = Array.from({ length: iterations }, () => statistic(resample(early, random), resample(late, random)))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  if (!samples.length) {
+    return { estimate, interval: null, pValue: null };
+  }
+  const at = (q) => samples[Math.min(samples.length - 1, Math.max(0, Math.round(q * (samples.length - 1))))];
+  const below = samples.filter((value) => value <= 0).length / samples.length;
+  const above = samples.filter((value) => value >= 0).length / samples.length;
+  return {
+    estimate,
+    interval: [at(0.025), at(0.975)],
+    pValue: Math.max(1 / samples.length, Math.min(1, 2 * Math.min(below, above))),
+  };
+};
+
+// Cohen's d with a pooled standard deviation.
+export const cohensD = (early, late) => {
+  if (early.length < 2 || late.length < 2) {
+    return 0;
+  }
+  const sumSquares = (values, m) => values.reduce((sum, v) => sum + (v - m) ** 2, 0);
+  const meanEarly = mean(early);
+  const meanLate = mean(late);
+  const pooled = Math.sqrt(
+    (sumSquares(early, meanEarly) + sumSquares(late, meanLate)) / (early.length + late.length - 2)
+  );
+  return pooled === 0 ? 0 : (meanLate - meanEarly) / pooled;
+};
+
+// Cohen's conventional cut-offs.
+export const correlationStrength = (r) => {
+  const size = Math.abs(r);
+  if (size < 0.1) return 'negligible';
+  if (size < 0.3) return 'weak';
+  if (size < 0.5) return 'moderate';
+  return 'strong';
+};
+
+export const effectSizeLabel = (d) => {
+  const size = Math.abs(d);
+  if (size < 0.2) return 'negligible';
+  if (size < 0.5) return 'small';
+  if (size < 0.8) return 'medium';
+  return 'large';
+};
+
+export const formatPValue = (pValue) => (pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`);
+
+export const isSignificant = (pValue, alpha = 0.05) => pValue !== null && pValue < alpha;
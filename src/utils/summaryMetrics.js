@@ -0,0 +1,7 @@
+export const SUMMARY_METRICS = [
+  { label: 'Total Episodes', format: (summary) => summary.totalEpisodes },
+  { label: 'Avg Downloads', format: (summary) => Math.round(summary.averageDownloads).toLocaleString() },
+  { label: 'Avg Completion', format: (summary) => `${(summary.averageCompletionRate * 100).toFixed(1)}%` },
+  { label: 'Avg Duration', format: (summary) => `${summary.averageDuration.toFixed(1)} min` },
+  { label: 'Total Subscribers', format: (summary) => summary.totalSubscribers.toLocaleString() },
+];
@@ -0,0 +1,21 @@
+// The presets themselves are token blocks in index.css keyed by data-theme; this is what the picker offers.
+export const THEMES = {
+  system: { label: 'Match system' },
+  light: { label: 'Light' },
+  dark: { label: 'Dark' },
+  'high-contrast': { label: 'High contrast' },
+  colorblind: { label: 'Colour-blind safe' },
+};
+
+export const DEFAULT_THEME = 'system';
+
+export const resolveTheme = (theme, prefersDark) => {
+  if (theme === 'system' || !THEMES[theme]) {
+    return prefersDark ? 'dark' : 'light';
+  }
+  return theme;
+};
+
+// Charts name colours by token so every preset restyles them; `alpha` matches the rgb(r g b / a) form in index.css.
+export const themeColor = (token, alpha) =>
+  alpha === undefined ? `rgb(var(--color-${token}))` : `rgb(var(--color-${token}) / ${alpha})`;
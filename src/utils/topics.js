@@ -0,0 +1,111 @@
+import { mean } from 'd3-array';
+import { themeColor } from './themes.js';
+
+// Rules are checked in order, so earlier topics win ties. Keywords match whole words, case-insensitively.
+export const TOPIC_RULES = [
+  {
+    id: 'agents',
+    label: 'Agents',
+    color: themeColor('topic-1'),
+    keywords: ['agent', 'agents', 'agentic', 'orchestration', 'assistant', 'assistants'],
+  },
+  {
+    id: 'robotics',
+    label: 'Robotics',
+    color: themeColor('topic-2'),
+    keywords: ['robot', 'robots', 'robotics', 'robotic', 'drone', 'drones', 'autonomous vehicles'],
+  },
+  {
+    id: 'machine-learning',
+    label: 'Machine learning',
+    color: themeColor('topic-3'),
+    keywords: [
+      'machine learning',
+      'ml',
+      'model',
+      'models',
+      'language models',
+      'training',
+      'inference',
+      'synthetic data',
+      'model drift',
+      'recommendation',
+    ],
+  },
+  {
+    id: 'cybersecurity',
+    label: 'Cybersecurity',
+    color: themeColor('topic-4'),
+    keywords: [
+      'cybersecurity',
+      'security',
+      'securing',
+      'attack',
+      'attacks',
+      'adversarial',
+      'phishing',
+      'breach',
+      'breaches',
+      'leaks',
+      'fraud',
+      'privacy',
+    ],
+  },
+  {
+    id: 'automation',
+    label: 'Automation',
+    color: themeColor('topic-5'),
+    keywords: ['automation', 'automated', 'automating', 'automate', 'pipelines', 'workflows'],
+  },
+];
+
+export const OTHER_TOPIC = { id: 'other', label: 'Other', color: themeColor('topic-other'), keywords: [] };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compileRule = (rule) => ({
+  ...rule,
+  pattern: new RegExp(`\\b(?:${rule.keywords.map(escapeRegExp).join('|')})\\b`, 'gi'),
+});
+
+const countMatches = (pattern, text) => (text.match(pattern) ?? []).length;
+
+export const topicList = (rules = TOPIC_RULES) => [...rules, OTHER_TOPIC];
+
+// Title hits count double, since descriptions tend to mention neighbouring themes in passing.
+export const createTopicTagger = (rules = TOPIC_RULES) => {
+  const compiled = rules.filter((rule) => rule.keywords.length).map(compileRule);
+
+  return ({ title = '', description = '' }) => {
+    const scored = compiled
+      .map((rule) => ({
+        id: rule.id,
+        score: countMatches(rule.pattern, title) * 2 + countMatches(rule.pattern, description),
+      }))
+      .filter((match) => match.score > 0);
+
+    if (!scored.length) {
+      return { topics: [OTHER_TOPIC.id], primaryTopic: OTHER_TOPIC.id };
+    }
+
+    const primary = scored.reduce((best, match) => (match.score > best.score ? match : best));
+    return { topics: scored.map((match) => match.id), primaryTopic: primary.id };
+  };
+};
+
+// Each episode counts once, under its primary topic, so the groups add up to the catalog.
+export const summarizeTopics = (episodes, topics) =>
+  topics
+    .map((topic) => {
+      const items = episodes.filter((d) => d.primaryTopic === topic.id);
+      const totalDownloads = items.reduce((sum, d) => sum + d.downloads, 0);
+      const totalSubscribers = items.reduce((sum, d) => sum + d.subscribersGained, 0);
+      return {
+        ...topic,
+        episodeCount: items.length,
+        averageDownloads: mean(items, (d) => d.downloads) ?? 0,
+        averageCompletionRate: mean(items, (d) => d.completionRate) ?? 0,
+        subscribersPerThousandDownloads: totalDownloads === 0 ? 0 : (totalSubscribers / totalDownloads) * 1000,
+      };
+    })
+    .filter((group) => group.episodeCount);
@@ -0,0 +1,108 @@
+import { EMPTY_FILTERS } from './episodeFilters.js';
+
+// Everything the dashboard restores from a shared link. Keys are kept short so URLs stay pasteable.
+export const EMPTY_VIEW_STATE = {
+  dataset: null,
+  show: null,
+  compareShow: null,
+  xAxisMode: 'episode',
+  filters: EMPTY_FILTERS,
+  selection: [],
+  detailEpisode: null,
+  zoom: {},
+};
+
+const ZOOM_PREFIX = 'zoom.';
+
+const roundForUrl = (value) => Math.round(value * 1000) / 1000;
+
+const formatRange = (min, max) => (min === null && max === null ? null : `${min ?? ''}~${max ?? ''}`);
+
+const parseNumber = (text) => {
+  if (text === undefined || text === null || text.trim() === '') {
+    return null;
+  }
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Ranges are "min~max" with either side optional; a tilde rather than a hyphen keeps negative bounds readable.
+const parseRange = (text) => {
+  const [min, max] = (text ?? '').split('~');
+  return [parseNumber(min), parseNumber(max)];
+};
+
+const formatDomain = (domain) => domain.map(roundForUrl).join('~');
+
+const parseDomain = (text) => {
+  const values = (text ?? '').split('~').map(parseNumber);
+  return values.length === 2 && values.every((value) => value !== null) ? values : null;
+};
+
+export const serializeViewState = (state) => {
+  const params = new URLSearchParams();
+  const set = (key, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      params.set(key, value);
+    }
+  };
+
+  set('dataset', state.dataset);
+  set('show', state.show);
+  set('compare', state.compareShow);
+  set('axis', state.xAxisMode === EMPTY_VIEW_STATE.xAxisMode ? null : state.xAxisMode);
+  set('episodes', formatRange(state.filters.episodeMin, state.filters.episodeMax));
+  set('duration', formatRange(state.filters.durationMin, state.filters.durationMax));
+  set('guest', state.filters.guest.trim());
+  set('q', state.filters.keyword.trim());
+  set('sel', [...state.selection].sort((a, b) => a - b).join(','));
+  set('detail', state.detailEpisode);
+  Object.entries(state.zoom)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([key, entry]) => {
+      const x = entry.xDomain ? formatDomain(entry.xDomain) : '';
+      set(`${ZOOM_PREFIX}${key}`, entry.yDomain ? `${x},${formatDomain(entry.yDomain)}` : x);
+    });
+
+  // Commas and tildes are legal in a query string; leaving them unescaped keeps shared links readable.
+  return params.toString().replace(/%2C/g, ',').replace(/%7E/gi, '~');
+};
+
+export const parseViewState = (search) => {
+  const params = new URLSearchParams(search);
+  const [episodeMin, episodeMax] = parseRange(params.get('episodes'));
+  const [durationMin, durationMax] = parseRange(params.get('duration'));
+
+  const zoom = {};
+  params.forEach((value, key) => {
+    if (!key.startsWith(ZOOM_PREFIX)) {
+      return;
+    }
+    const [xText, yText] = value.split(',');
+    const entry = { xDomain: parseDomain(xText), yDomain: parseDomain(yText) };
+    if (entry.xDomain || entry.yDomain) {
+      zoom[key.slice(ZOOM_PREFIX.length)] = entry;
+    }
+  });
+
+  return {
+    dataset: params.get('dataset'),
+    show: params.get('show'),
+    compareShow: params.get('compare'),
+    xAxisMode: params.get('axis') ?? EMPTY_VIEW_STATE.xAxisMode,
+    filters: {
+      episodeMin,
+      episodeMax,
+      guest: params.get('guest') ?? '',
+      keyword: params.get('q') ?? '',
+      durationMin,
+      durationMax,
+    },
+    selection: (params.get('sel') ?? '')
+      .split(',')
+      .map(parseNumber)
+      .filter((episode) => episode !== null),
+    detailEpisode: parseNumber(params.get('detail')),
+    zoom,
+  };
+};
@@ -0,0 +1,211 @@
+import { timeParse } from 'd3-time-format';
+
+export const REQUIRED_COLUMNS = [
+  'episode',
+  'title',
+  'duration',
+  'downloads',
+  'completion_numbers',
+  'new_listeners',
+  'returning_listeners',
+  'subscribers_gained',
+  'social_media_shares',
+];
+
+const COUNT_COLUMNS = [
+  'downloads',
+  'completion_numbers',
+  'new_listeners',
+  'returning_listeners',
+  'subscribers_gained',
+  'social_media_shares',
+];
+
+const DURATION_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Accepts H:MM:SS and MM:SS; returns minutes, or null when the value isn't a valid runtime.
+export const parseDuration = (value) => {
+  const match = DURATION_PATTERN.exec(String(value ?? '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds] = match;
+  if (Number(seconds) >= 60 || (match[1] !== undefined && Number(minutes) >= 60)) {
+    return null;
+  }
+  return Number(hours) * 60 + Number(minutes) + Number(seconds) / 60;
+};
+
+const parseIsoDate = timeParse('%Y-%m-%d');
+
+// Plain YYYY-MM-DD dates are read in local time so weekdays don't shift; anything else goes through Date.
+export const parsePublishDate = (value) => {
+  if (isBlank(value)) {
+    return null;
+  }
+  const text = String(value).trim();
+  const date = parseIsoDate(text) ?? new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseCount = (value) => {
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? Number(text) : null;
+};
+
+export const findMissingColumns = (rows) => {
+  const columns = new Set(rows.columns ?? rows.flatMap((row) => Object.keys(row)));
+  return REQUIRED_COLUMNS.filter((column) => !columns.has(column));
+};
+
+const validateRow = (row) => {
+  const issues = [];
+  const error = (field, message) => issues.push({ severity: 'error', field, message });
+  const warning = (field, message) => issues.push({ severity: 'warning', field, message });
+
+  const episode = isBlank(row.episode) ? null : parseCount(row.episode);
+  if (isBlank(row.episode)) {
+    error('episode', 'Episode number is missing.');
+  } else if (episode === null || episode === 0) {
+    error('episode', `Episode number "${row.episode}" is not a positive integer.`);
+  }
+
+  if (isBlank(row.title)) {
+    warning('title', 'Title is blank.');
+  }
+
+  if (isBlank(row.duration)) {
+    error('duration', 'Duration is missing.');
+  } else if (parseDuration(row.duration) === null) {
+    error('duration', `Duration "${row.duration}" is not in H:MM:SS or MM:SS format.`);
+  }
+
+  if ('publish_date' in row) {
+    if (isBlank(row.publish_date)) {
+      warning('publish_date', 'publish_date is blank, so the date axis can’t place this episode.');
+    } else if (parsePublishDate(row.publish_date) === null) {
+      warning('publish_date', `publish_date "${row.publish_date}" isn’t a recognisable date.`);
+    }
+  }
+
+  const counts = {};
+  COUNT_COLUMNS.forEach((column) => {
+    if (isBlank(row[column])) {
+      error(column, `${column} is blank.`);
+      return;
+    }
+    const value = parseCount(row[column]);
+    if (value === null) {
+      error(column, `${column} "${row[column]}" is not a non-negative integer.`);
+      return;
+    }
+    counts[column] = value;
+  });
+
+  const { downloads, completion_numbers: completions } = counts;
+  if (downloads !== undefined && completions !== undefined && completions > downloads) {
+    error(
+      'completion_numbers',
+      `completion_numbers (${completions}) exceeds downloads (${downloads}), which would mean a completion rate above 100%.`
+    );
+  }
+
+  if (downloads === 0) {
+    warning('downloads', 'Episode has zero downloads, so its rates are undefined.');
+  }
+
+  const { new_listeners: newListeners, returning_listeners: returningListeners } = counts;
+  if (
+    downloads !== undefined &&
+    newListeners !== undefined &&
+    returningListeners !== undefined &&
+    newListeners + returningListeners !== downloads
+  ) {
+    warning(
+      'new_listeners',
+      `New + returning listeners (${newListeners + returningListeners}) don’t add up to downloads (${downloads}).`
+    );
+  }
+
+  if (downloads !== undefined && counts.subscribers_gained > downloads) {
+    warning('subscribers_gained', `subscribers_gained (${counts.subscribers_gained}) exceeds downloads (${downloads}).`);
+  }
+
+  return { episode, issues };
+};
+
+const statusFor = (issues) => {
+  if (issues.some((issue) => issue.severity === 'error')) {
+    return 'rejected';
+  }
+  return issues.length ? 'suspicious' : 'ok';
+};
+
+// Episode numbers only need to be unique and contiguous within a show, so multi-show files are checked per `show`.
+// Items are { row, rowNumber, file? }; rows from several files share one pass so a show split across files is
+// checked as a whole.
+const validateRows = (items) => {
+  const seenEpisodes = new Map();
+
+  const entries = items.map(({ row, rowNumber, file }) => {
+    const { episode, issues } = validateRow(row);
+
+    if (episode) {
+      const show = row.show ?? '';
+      if (!seenEpisodes.has(show)) {
+        seenEpisodes.set(show, new Map());
+      }
+      const showEpisodes = seenEpisodes.get(show);
+      if (showEpisodes.has(episode)) {
+        const first = showEpisodes.get(episode);
+        const location = first.file === file ? `row ${first.rowNumber}` : `row ${first.rowNumber} of ${first.file}`;
+        issues.push({
+          severity: 'error',
+          field: 'episode',
+          message: `Duplicate of episode ${episode} on ${location}; keeping the first occurrence.`,
+        });
+      } else {
+        showEpisodes.set(episode, { rowNumber, file });
+      }
+    }
+
+    return { row, rowNumber, file, episode, issues, status: statusFor(issues) };
+  });
+
+  const datasetIssues = [];
+  seenEpisodes.forEach((showEpisodes, show) => {
+    const episodeNumbers = [...showEpisodes.keys()].sort((a, b) => a - b);
+    if (episodeNumbers.length < 2) {
+      return;
+    }
+    const present = new Set(episodeNumbers);
+    const missing = [];
+    for (let ep = episodeNumbers[0]; ep <= episodeNumbers[episodeNumbers.length - 1]; ep += 1) {
+      if (!present.has(ep)) {
+        missing.push(ep);
+      }
+    }
+    if (missing.length) {
+      const preview = missing.slice(0, 12).join(', ');
+      const overflow = missing.length > 12 ? `, and ${missing.length - 12} more` : '';
+      const message = `Missing episode number${missing.length === 1 ? '' : 's'} ${preview}${overflow}.`;
+      datasetIssues.push({ severity: 'warning', message: show ? `${show}: ${message}` : message });
+    }
+  });
+
+  return {
+    entries,
+    datasetIssues,
+    totalRows: items.length,
+    rejectedCount: entries.filter((entry) => entry.status === 'rejected').length,
+    suspiciousCount: entries.filter((entry) => entry.status === 'suspicious').length,
+  };
+};
+
+export const validateDataset = (rows) => validateRows(rows.map((row, index) => ({ row, rowNumber: index + 1 })));
+
+// Sources are { file, rows }. Row numbers restart in every file, so each entry carries the file it came from.
+export const validateSources = (sources) =>
+  validateRows(sources.flatMap(({ file, rows }) => rows.map((row, index) => ({ row, rowNumber: index + 1, file }))));